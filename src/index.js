@@ -1,13 +1,49 @@
 require("dotenv").config();
 const express = require("express");
 const { v4: uuid } = require("uuid");
-const { getTemplates, getTemplateById } = require("./templates");
-const { validateItemAgainstTemplate } = require("./validation");
+const {
+  getTemplates,
+  getTemplateById,
+  toJsonFields,
+} = require("./templates");
+const { getFieldGroups } = require("./services/field-groups");
+const { validateItem } = require("./validation");
+const { requestLanguage, localizeErrors } = require("./validation-errors");
+const { getModel, instantiateModel } = require("./models");
+const { parseItemQuery, applyItemQuery } = require("./services/item-query");
 const { CkanAdapter } = require("./integrations/ckan");
 const { OrionPublisher } = require("./integrations/orion");
 const { issueToken, ensureAuthenticated } = require("./security/oauth");
+const {
+  newItem,
+  editedItem,
+  isPublishable,
+  statusOf,
+  transition,
+} = require("./workflow");
+const {
+  listItems,
+  getItem,
+  putItem,
+  deleteItem,
+  clearItems,
+  spatialIndexOf,
+  findDuplicateIdentifier,
+  findNearDuplicates,
+  identifierConflict,
+} = require("./items");
+const { parseDuplicateOptions } = require("./services/duplicate-detection");
 const assetsRouter = require("./routes/assets");
 const excelSchemaRouter = require("./routes/excel-schema");
+const modelTemplatesRouter = require("./routes/model-templates");
+const revisionsRouter = require("./routes/revisions");
+const itemImportRouter = require("./routes/item-import");
+const exportsRouter = require("./routes/exports");
+const qualityRouter = require("./routes/quality");
+const workflowRouter = require("./routes/workflow");
+const modelSchemaRouter = require("./routes/model-schema");
+const duplicatesRouter = require("./routes/duplicates");
+const toolsRouter = require("./routes/tools");
 
 const app = express();
 app.use(express.json());
@@ -21,8 +57,6 @@ app.use((req, res, next) => {
 app.use(express.static("public"));
 
 const PORT = process.env.PORT || 4000;
-const models = new Map();
-const records = new Map();
 const ckan = new CkanAdapter();
 const orion = new OrionPublisher();
 
@@ -43,8 +77,22 @@ app.use("/v1/excel-to-schema", excelSchemaRouter);
 // Protect everything else under /v1
 app.use("/v1", ensureAuthenticated);
 
-app.get("/v1/model-templates", (_req, res) => {
-  res.json({ templates: getTemplates() });
+app.use("/v1/model-templates", modelTemplatesRouter);
+
+// Shared field groups templates can include (src/data/field-groups).
+app.get("/v1/field-groups", (_req, res) => {
+  const templates = getTemplates();
+  res.json({
+    fieldGroups: getFieldGroups().map((group) => ({
+      ...group,
+      fields: toJsonFields(group.fields),
+      usedBy: templates
+        .filter((t) =>
+          (t.composedFrom || []).some((entry) => entry.include === group.id)
+        )
+        .map((t) => t.id),
+    })),
+  });
 });
 
 // One-click rigor: instantiate model with schema automatically
@@ -56,66 +104,238 @@ app.post("/v1/model-templates/:id/apply", (req, res) => {
 
   const modelId = req.body.modelId || template.id;
   const title = req.body.title || template.label;
-  models.set(modelId, { ...template, title });
-  records.set(modelId, []);
+  const datasetFlags = req.body.datasetFlags || [];
+  if (
+    !Array.isArray(datasetFlags) ||
+    !datasetFlags.every((flag) => typeof flag === "string")
+  ) {
+    return res
+      .status(400)
+      .json({ error: "datasetFlags must be an array of strings" });
+  }
+  // Re-applying over stored items deletes them, so it must be asked for;
+  // each deletion is recorded and can be restored from its revision.
+  const itemCount = listItems(modelId).length;
+  if (itemCount > 0 && req.body.replaceItems !== true) {
+    return res.status(409).json({
+      error: `Model ${modelId} has ${itemCount} item(s); pass replaceItems: true to delete them and re-apply`,
+    });
+  }
+  instantiateModel(modelId, template, {
+    title,
+    actor: req.auth.clientId,
+    datasetFlags,
+  });
+  clearItems(modelId, {
+    actor: req.auth.clientId,
+    details: { reason: "templateApplied", templateId: template.id },
+  });
 
   return res.status(201).json({
     modelId,
-    schema: template.fields,
+    templateVersion: template.version || 1,
+    // Deprecated templates still apply, with the reason passed on.
+    ...(template.deprecation ? { deprecation: template.deprecation } : {}),
+    datasetFlags,
+    deletedItems: itemCount,
+    schema: toJsonFields(template.fields),
     enforced: template.fields
       .filter((f) => f.required || f.mandatoryMark === "◎")
       .map((f) => f.fieldKey),
   });
 });
 
-app.get("/v1/models/:id/schema", (req, res) => {
-  const model = models.get(req.params.id) || getTemplateById(req.params.id);
-  if (!model) return res.status(404).json({ error: "Model not found" });
-  res.json({ modelId: req.params.id, schema: model.fields });
-});
+app.use("/v1/models/:id/schema", modelSchemaRouter);
 
-// Item creation with GIF validation and controlled vocabulary enforcement
+// Item creation with GIF validation and controlled vocabulary enforcement.
+// Near-duplicates of stored items (similar name within `duplicateRadius`
+// meters) are returned as `duplicates`, or rejected with
+// `onDuplicate=reject`.
 app.post("/v1/models/:id/items", (req, res) => {
-  const model = models.get(req.params.id) || getTemplateById(req.params.id);
+  const model = getModel(req.params.id);
   if (!model) return res.status(404).json({ error: "Model not found" });
+  const duplicateOptions = parseDuplicateOptions(req.query);
+  if (!duplicateOptions.ok) {
+    return res.status(400).json({ errors: duplicateOptions.errors });
+  }
 
-  const validation = validateItemAgainstTemplate(req.params.id, req.body);
+  const validation = validateItem(model, req.body);
   if (!validation.ok) {
-    return res.status(400).json({ errors: validation.errors });
+    return res.status(400).json({
+      errors: localizeErrors(validation.errors, requestLanguage(req)),
+      normalized: validation.normalized,
+    });
+  }
+
+  const identifier = validation.value.identifier;
+  if (findDuplicateIdentifier(req.params.id, identifier)) {
+    return res.status(409).json({ error: identifierConflict(identifier) });
   }
 
-  const item = { id: uuid(), ...validation.value };
-  if (!records.has(req.params.id)) {
-    records.set(req.params.id, []);
+  const duplicates = findNearDuplicates(
+    req.params.id,
+    model,
+    validation.value,
+    duplicateOptions.value
+  );
+  if (duplicates.length > 0 && duplicateOptions.value.onDuplicate === "reject") {
+    return res.status(409).json({
+      error: "Possible duplicate of an existing item",
+      duplicates,
+    });
   }
-  records.get(req.params.id).push(item);
-  return res.status(201).json({ item });
+
+  const item = putItem(
+    req.params.id,
+    newItem(uuid(), validation.value),
+    { actor: req.auth.clientId }
+  );
+  return res.status(201).json({
+    item,
+    info: validation.info,
+    normalized: validation.normalized,
+    ...(duplicates.length > 0 ? { duplicates } : {}),
+  });
 });
 
+// Filter (`field=value`, `field[prefix|gt|gte|lt|lte]=value`), geo search
+// (`bbox`, `near` + `radius`/`nearest`), sort, paginate and project; see
+// src/services/item-query.js.
 app.get("/v1/models/:id/items", (req, res) => {
-  const items = records.get(req.params.id) || [];
-  res.json({ items });
+  const model = getModel(req.params.id);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+
+  const query = parseItemQuery(model, req.query);
+  if (!query.ok) {
+    return res.status(400).json({ errors: query.errors });
+  }
+
+  res.json(
+    applyItemQuery(
+      listItems(req.params.id),
+      query.value,
+      spatialIndexOf(req.params.id)
+    )
+  );
+});
+
+app.get("/v1/models/:id/items/:itemId", (req, res) => {
+  const model = getModel(req.params.id);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+  const item = getItem(req.params.id, req.params.itemId);
+  if (!item) return res.status(404).json({ error: "Item not found" });
+  return res.json({ item });
 });
 
+// PUT replaces the whole record; PATCH merges into it. Both re-run the full
+// template validation so ◎, GIF coordinate and vocabulary rules still hold.
+app.put("/v1/models/:id/items/:itemId", (req, res) => {
+  return saveItem(req, res, () => req.body || {});
+});
+
+app.patch("/v1/models/:id/items/:itemId", (req, res) => {
+  return saveItem(req, res, (existing) => mergeItem(existing, req.body || {}));
+});
+
+app.delete("/v1/models/:id/items/:itemId", (req, res) => {
+  const model = getModel(req.params.id);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+  const deleted = deleteItem(req.params.id, req.params.itemId, {
+    actor: req.auth.clientId,
+  });
+  if (!deleted) {
+    return res.status(404).json({ error: "Item not found" });
+  }
+  return res.status(204).end();
+});
+
+app.use("/v1/models/:id/items/import", itemImportRouter);
+app.use("/v1/models/:id/items/:itemId/revisions", revisionsRouter);
+app.use("/v1/models/:id/items/:itemId", workflowRouter);
+app.use("/v1/models/:id/items/:itemId", duplicatesRouter);
+app.use("/v1/models/:id", exportsRouter);
+app.use("/v1/models/:id", qualityRouter);
+
 // Publish to Orion-LD
 app.post("/v1/models/:id/items/:itemId/publish/orion", async (req, res) => {
-  const model = models.get(req.params.id) || getTemplateById(req.params.id);
+  const model = getModel(req.params.id);
   if (!model) return res.status(404).json({ error: "Model not found" });
-  const items = records.get(req.params.id) || [];
-  const item = items.find((i) => i.id === req.params.itemId);
+  const item = getItem(req.params.id, req.params.itemId);
   if (!item) return res.status(404).json({ error: "Item not found" });
+  if (!isPublishable(item)) {
+    return res.status(409).json({
+      error: `Item must be approved before publishing (status: ${statusOf(item)})`,
+    });
+  }
 
   const result = await orion.publish(req.params.id, item, model);
+  if (result.statusCode < 300) {
+    const published = transition(item, "publish", { actor: req.auth.clientId });
+    putItem(req.params.id, published.item, {
+      action: "publish",
+      actor: req.auth.clientId,
+      details: { target: "orion" },
+    });
+  }
   return res.status(result.statusCode).json(result.body);
 });
 
 // RESTful datasets -> CKAN Action API adapter
 app.post("/v1/datasets", async (req, res) => {
   const result = await ckan.createDataset(req.body);
-  return res.status(result.statusCode).json(result.body);
+  const body = result.body.errors
+    ? {
+        ...result.body,
+        errors: localizeErrors(result.body.errors, requestLanguage(req)),
+      }
+    : result.body;
+  return res.status(result.statusCode).json(body);
 });
 
 app.use("/v1/assets", assetsRouter); // DAS abstraction layer - heavy files
+app.use("/v1/tools", toolsRouter);
+
+function saveItem(req, res, buildCandidate) {
+  const model = getModel(req.params.id);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+  const existing = getItem(req.params.id, req.params.itemId);
+  if (!existing) return res.status(404).json({ error: "Item not found" });
+
+  const validation = validateItem(model, buildCandidate(existing));
+  if (!validation.ok) {
+    return res.status(400).json({
+      errors: localizeErrors(validation.errors, requestLanguage(req)),
+      normalized: validation.normalized,
+    });
+  }
+
+  const identifier = validation.value.identifier;
+  if (findDuplicateIdentifier(req.params.id, identifier, existing.id)) {
+    return res.status(409).json({ error: identifierConflict(identifier) });
+  }
+
+  const item = putItem(
+    req.params.id,
+    editedItem(existing, validation.value, req.auth.clientId),
+    { actor: req.auth.clientId }
+  );
+  return res.json({
+    item,
+    info: validation.info,
+    normalized: validation.normalized,
+  });
+}
+
+// Partial update: provided keys overwrite, `null` clears an optional field.
+// Workflow state is not part of the content and is never patched.
+function mergeItem(existing, patch) {
+  const merged = { ...existing, ...patch };
+  Object.keys(merged).forEach((key) => {
+    if (merged[key] === null) delete merged[key];
+  });
+  ["id", "status", "workflowHistory"].forEach((key) => delete merged[key]);
+  return merged;
+}
 
 // Error abstraction: consistent HTTP status codes
 // eslint-disable-next-line no-unused-vars
@@ -1,5 +1,27 @@
 const fetch = (...args) =>
   import("node-fetch").then(({ default: fetchFn }) => fetchFn(...args));
+const { validationError } = require("../validation-errors");
+
+// CKAN package fields -> REST payload keys and Japanese labels.
+const CKAN_FIELDS = {
+  name: { fieldKey: "name", label: "データセットID" },
+  title: { fieldKey: "title", label: "タイトル" },
+  owner_org: { fieldKey: "organization", label: "組織" },
+  url: { fieldKey: "url", label: "URL" },
+  format: { fieldKey: "format", label: "形式" },
+  package_id: { fieldKey: "datasetId", label: "データセットID" },
+};
+
+// Japanese for the CKAN validator messages we commonly see.
+const CKAN_MESSAGES_JA = {
+  "Missing value": "値がありません",
+  "That URL is already in use.": "このURLは既に使用されています",
+  "Organization does not exist": "組織が存在しません",
+  "Name must be at least 2 characters long": "2文字以上で入力してください",
+  "Must be purely lowercase alphanumeric (ascii) characters and these symbols: -_":
+    "半角英小文字・数字と記号 -_ のみ使用できます",
+  "Not found: Dataset": "データセットが見つかりません",
+};
 
 class CkanAdapter {
   constructor(config = {}) {
@@ -60,10 +82,12 @@ class CkanAdapter {
 
     if (json.success === false) {
       const statusCode = this.mapErrorStatus(json.error);
+      const errors = this.normalizeValidationErrors(json.error);
       return {
         statusCode,
         body: {
           error: json.error || "CKAN error",
+          ...(errors.length > 0 ? { errors } : {}),
           action,
         },
       };
@@ -75,6 +99,29 @@ class CkanAdapter {
     };
   }
 
+  /**
+   * CKAN reports validation failures as { __type, <field>: [messages] };
+   * turn them into structured errors keyed by our REST field names.
+   */
+  normalizeValidationErrors(error) {
+    if (!error || error.__type !== "Validation Error") return [];
+    return Object.entries(error)
+      .filter(([key]) => key !== "__type" && key !== "message")
+      .flatMap(([key, messages]) =>
+        (Array.isArray(messages) ? messages : [messages]).map((message) => {
+          const field = CKAN_FIELDS[key] || { fieldKey: key };
+          const text =
+            typeof message === "string" ? message : JSON.stringify(message);
+          return validationError("ckanValidation", {
+            ...field,
+            ckanField: key,
+            detail: text,
+            detailJa: CKAN_MESSAGES_JA[text],
+          });
+        })
+      );
+  }
+
   mapErrorStatus(error) {
     if (!error || !error.__type) return 400;
     if (error.__type === "Authorization Error") return 403;
@@ -27,6 +27,36 @@ class OrionPublisher {
     };
   }
 
+  /**
+   * NGSI-LD Property for a template field. Temporal types use the
+   * NGSI-LD typed literals; a timeRange becomes { start, end } times.
+   */
+  buildProperty(field, value) {
+    const typed = (type, literal) => ({ "@type": type, "@value": literal });
+    switch (field.type) {
+      case "datetime":
+        return { type: "Property", value: typed("DateTime", value) };
+      case "date":
+        return { type: "Property", value: typed("Date", value) };
+      case "time":
+        return { type: "Property", value: typed("Time", `${value}:00`) };
+      case "timeRange": {
+        const [start, end] = value.split("-");
+        return {
+          type: "Property",
+          value: {
+            start: typed("Time", `${start}:00`),
+            end: typed("Time", `${end}:00`),
+          },
+        };
+      }
+      default:
+        // integer, url, email and multiControlledVocabulary (an array)
+        // map onto plain JSON values.
+        return { type: "Property", value };
+    }
+  }
+
   toNgsiEntity(modelId, item, template) {
     const base = {
       id: `urn:ace:${modelId}:${item.identifier}`,
@@ -38,10 +68,7 @@ class OrionPublisher {
       if (["latitude", "longitude"].includes(field.fieldKey)) return;
       if (item[field.fieldKey] === undefined) return;
 
-      base[field.fieldKey] = {
-        type: "Property",
-        value: item[field.fieldKey],
-      };
+      base[field.fieldKey] = this.buildProperty(field, item[field.fieldKey]);
     });
 
     if (item.latitude !== undefined && item.longitude !== undefined) {
@@ -0,0 +1,120 @@
+const { getCollection } = require("./storage");
+const { GridIndex } = require("./services/spatial-index");
+const { recordRevision } = require("./revisions");
+const { rankDuplicates } = require("./services/duplicate-detection");
+
+// Items live in one storage collection per model, keyed by item id. All
+// writes go through this module so derived indexes and the revision log
+// stay in sync.
+const spatialIndexes = new Map();
+
+function itemsOf(modelId) {
+  return getCollection(`items:${modelId}`);
+}
+
+// Built lazily so items loaded from persistent storage are indexed too.
+function spatialIndexOf(modelId) {
+  if (!spatialIndexes.has(modelId)) {
+    const index = new GridIndex();
+    itemsOf(modelId)
+      .values()
+      .forEach((item) => index.insert(item.id, item.latitude, item.longitude));
+    spatialIndexes.set(modelId, index);
+  }
+  return spatialIndexes.get(modelId);
+}
+
+function listItems(modelId) {
+  return itemsOf(modelId).values();
+}
+
+function getItem(modelId, itemId) {
+  return itemsOf(modelId).get(itemId);
+}
+
+/**
+ * Create or replace an item. `context.actor` is recorded in the revision
+ * log; `context.action` overrides the inferred create/update action.
+ */
+function putItem(modelId, item, context = {}) {
+  const before = getItem(modelId, item.id) || null;
+  itemsOf(modelId).set(item.id, item);
+  spatialIndexOf(modelId).insert(item.id, item.latitude, item.longitude);
+
+  recordRevision(modelId, item.id, {
+    action: context.action || (before ? "update" : "create"),
+    actor: context.actor,
+    before,
+    after: item,
+    ...(context.details || {}),
+  });
+  return item;
+}
+
+function deleteItem(modelId, itemId, context = {}) {
+  const before = getItem(modelId, itemId);
+  if (!before) return false;
+
+  itemsOf(modelId).delete(itemId);
+  spatialIndexOf(modelId).remove(itemId);
+  recordRevision(modelId, itemId, {
+    action: context.action || "delete",
+    actor: context.actor,
+    before,
+    after: null,
+    ...(context.details || {}),
+  });
+  return true;
+}
+
+// Deletes every item of the model, each with its own revision like
+// deleteItem, so they stay restorable.
+function clearItems(modelId, context = {}) {
+  listItems(modelId).forEach((item) => deleteItem(modelId, item.id, context));
+  spatialIndexes.delete(modelId);
+}
+
+// `identifier` becomes the Orion entity URN, so it must be unique per model.
+function findDuplicateIdentifier(modelId, identifier, ignoreItemId) {
+  if (identifier === undefined) return null;
+  return listItems(modelId).find(
+    (i) => i.identifier === identifier && i.id !== ignoreItemId
+  );
+}
+
+/** [{ item, distance }] for stored items within `radius` meters of a point. */
+function itemsNear(modelId, { latitude, longitude }, radius) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return [];
+  return spatialIndexOf(modelId)
+    .searchRadius({ latitude, longitude }, radius)
+    .map(({ id, distance }) => ({ item: getItem(modelId, id), distance }));
+}
+
+/**
+ * Stored items that look like the same thing as `value` (similar name,
+ * nearby); see services/duplicate-detection.js. `ignoreItemId` leaves out
+ * the item being updated.
+ */
+function findNearDuplicates(modelId, template, value, options) {
+  const neighbours = itemsNear(modelId, value, options.radius).filter(
+    ({ item }) => item.id !== options.ignoreItemId
+  );
+  return rankDuplicates(template, value, neighbours, options);
+}
+
+function identifierConflict(identifier) {
+  return `identifier "${identifier}" already exists in this model`;
+}
+
+module.exports = {
+  listItems,
+  getItem,
+  putItem,
+  deleteItem,
+  clearItems,
+  spatialIndexOf,
+  findDuplicateIdentifier,
+  itemsNear,
+  findNearDuplicates,
+  identifierConflict,
+};
@@ -0,0 +1,93 @@
+const { getCollection } = require("./storage");
+const { getTemplateById, definitionOf } = require("./templates");
+
+// A model is a template instantiated under a model id. It owns a versioned
+// copy of the schema, so editing a model never touches the template and
+// a custom `modelId` validates against its own fields.
+const models = getCollection("models");
+
+/**
+ * Model by id. Templates double as implicit models (the prototype has
+ * always accepted items under a template id without `apply`).
+ */
+function getModel(modelId) {
+  return models.get(modelId) || getTemplateById(modelId);
+}
+
+function getInstantiatedModel(modelId) {
+  return models.get(modelId);
+}
+
+function instantiateModel(
+  modelId,
+  template,
+  { title, actor, datasetFlags = [] } = {}
+) {
+  const model = {
+    ...definitionOf(template),
+    id: modelId,
+    templateId: template.id,
+    templateVersion: template.version || 1,
+    title: title || template.label,
+    // Dataset-level flags (e.g. "tourism") read by { datasetFlag } rules.
+    datasetFlags,
+    schemaVersion: 1,
+    schemaVersions: [
+      {
+        version: 1,
+        fields: template.fields,
+        createdAt: new Date().toISOString(),
+        actor: actor || "anonymous",
+        operations: [],
+      },
+    ],
+  };
+  return models.set(modelId, model);
+}
+
+/** Ids of instantiated models created from template `templateId`. */
+function modelsFromTemplate(templateId) {
+  return models
+    .values()
+    .filter((model) => model.templateId === templateId)
+    .map((model) => model.id);
+}
+
+/** Commit `fields` as the next schema version of an instantiated model. */
+function commitSchemaVersion(modelId, fields, { actor, operations = [] } = {}) {
+  const model = models.get(modelId);
+  const version = (model.schemaVersion || 1) + 1;
+  return models.set(modelId, {
+    ...model,
+    fields,
+    schemaVersion: version,
+    schemaVersions: [
+      ...(model.schemaVersions || []),
+      {
+        version,
+        fields,
+        createdAt: new Date().toISOString(),
+        actor: actor || "anonymous",
+        operations,
+      },
+    ],
+  });
+}
+
+function getSchemaVersion(modelId, version) {
+  const model = getModel(modelId);
+  if (!model) return null;
+  if (!model.schemaVersions) {
+    return version === 1 ? { version: 1, fields: model.fields } : null;
+  }
+  return model.schemaVersions.find((v) => v.version === version) || null;
+}
+
+module.exports = {
+  getModel,
+  getInstantiatedModel,
+  instantiateModel,
+  modelsFromTemplate,
+  commitSchemaVersion,
+  getSchemaVersion,
+};
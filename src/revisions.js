@@ -0,0 +1,73 @@
+const { getCollection } = require("./storage");
+
+// Append-only audit log of item changes, one storage collection per model
+// keyed by item id. Snapshots are deep copies and revisions are frozen, so
+// nothing handed out by this module can be edited after the fact.
+function revisionsOf(modelId) {
+  return getCollection(`revisions:${modelId}`);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function snapshot(item) {
+  return item ? structuredClone(item) : null;
+}
+
+function recordRevision(modelId, itemId, { action, actor, before, after, ...details }) {
+  const history = revisionsOf(modelId).get(itemId) || [];
+  const revision = deepFreeze({
+    rev: history.length + 1,
+    itemId,
+    action,
+    actor: actor || "anonymous",
+    timestamp: new Date().toISOString(),
+    ...details,
+    before: snapshot(before),
+    after: snapshot(after),
+  });
+
+  revisionsOf(modelId).set(itemId, [...history, revision]);
+  return revision;
+}
+
+function listRevisions(modelId, itemId) {
+  return revisionsOf(modelId).get(itemId) || [];
+}
+
+function getRevision(modelId, itemId, rev) {
+  return listRevisions(modelId, itemId).find((r) => r.rev === rev);
+}
+
+/**
+ * Field-level diff between two item snapshots (either may be null for a
+ * create/delete). The item `id` never changes and is not reported.
+ */
+function diffSnapshots(from, to) {
+  const a = from || {};
+  const b = to || {};
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(
+    (key) => key !== "id"
+  );
+
+  return keys
+    .filter((key) => JSON.stringify(a[key]) !== JSON.stringify(b[key]))
+    .map((key) => {
+      let change = "changed";
+      if (!(key in a)) change = "added";
+      else if (!(key in b)) change = "removed";
+      return { fieldKey: key, change, from: a[key], to: b[key] };
+    });
+}
+
+module.exports = {
+  recordRevision,
+  listRevisions,
+  getRevision,
+  diffSnapshots,
+};
@@ -1,9 +1,15 @@
 const express = require("express");
 const { v4: uuid } = require("uuid");
 const { z } = require("zod");
+const { getCollection } = require("../storage");
+const {
+  fromZodError,
+  requestLanguage,
+  localizeErrors,
+} = require("../validation-errors");
 
 const router = express.Router();
-const assets = [];
+const assets = getCollection("assets");
 
 const assetSchema = z.object({
   datasetId: z.string(),
@@ -16,17 +22,31 @@ const assetSchema = z.object({
   description: z.string().optional(),
 });
 
+const ASSET_LABELS = {
+  datasetId: "データセットID",
+  title: "タイトル",
+  uri: "URI",
+  assetType: "アセット種別",
+  fileStatus: "ファイル状態",
+  checksum: "チェックサム",
+  sizeBytes: "ファイルサイズ（バイト）",
+  description: "説明",
+};
+
 router.get("/", (_req, res) => {
-  res.json({ assets });
+  res.json({ assets: assets.values() });
 });
 
 router.post("/", (req, res) => {
   const parsed = assetSchema.safeParse(req.body);
   if (!parsed.success) {
-    const errors = parsed.error.errors.map(
-      (err) => `${err.path.join(".")}: ${err.message}`
-    );
-    return res.status(400).json({ errors });
+    const errors = fromZodError(parsed.error, {
+      data: req.body,
+      labels: ASSET_LABELS,
+    });
+    return res
+      .status(400)
+      .json({ errors: localizeErrors(errors, requestLanguage(req)) });
   }
 
   const asset = {
@@ -35,7 +55,7 @@ router.post("/", (req, res) => {
     createdAt: new Date().toISOString(),
   };
 
-  assets.push(asset);
+  assets.set(asset.id, asset);
   return res.status(201).json(asset);
 });
 
@@ -0,0 +1,139 @@
+const express = require("express");
+const { getModel } = require("../models");
+const { validateItem } = require("../validation");
+const { requestLanguage, localizeErrors } = require("../validation-errors");
+const { editedItem } = require("../workflow");
+const {
+  getItem,
+  putItem,
+  deleteItem,
+  findDuplicateIdentifier,
+  findNearDuplicates,
+  identifierConflict,
+} = require("../items");
+const { parseDuplicateOptions } = require("../services/duplicate-detection");
+
+// Mounted at /v1/models/:id/items/:itemId. Near-duplicate candidates for a
+// stored item and merging a duplicate into it.
+const router = express.Router({ mergeParams: true });
+
+const SIDES = ["target", "source"];
+
+function loadItem(req, res) {
+  const model = getModel(req.params.id);
+  if (!model) {
+    res.status(404).json({ error: "Model not found" });
+    return null;
+  }
+  const item = getItem(req.params.id, req.params.itemId);
+  if (!item) {
+    res.status(404).json({ error: "Item not found" });
+    return null;
+  }
+  return { model, item };
+}
+
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+// GET .../duplicates?duplicateRadius=50&minSimilarity=0.8
+router.get("/duplicates", (req, res) => {
+  const loaded = loadItem(req, res);
+  if (!loaded) return;
+  const options = parseDuplicateOptions(req.query);
+  if (!options.ok) return res.status(400).json({ errors: options.errors });
+
+  return res.json({
+    itemId: loaded.item.id,
+    duplicates: findNearDuplicates(req.params.id, loaded.model, loaded.item, {
+      ...options.value,
+      ignoreItemId: loaded.item.id,
+    }),
+  });
+});
+
+// POST .../merge { "sourceItemId", "prefer"?: "target" | "source",
+//                  "fields"?: { fieldKey: "target" | "source" } }
+// Each field takes the preferred side's value, or the other side's when
+// that one is empty. The merged item keeps this item's id and goes back
+// to draft; the source is deleted. Both revision logs record the merge.
+router.post("/merge", (req, res) => {
+  const loaded = loadItem(req, res);
+  if (!loaded) return;
+  const { model, item: target } = loaded;
+  const { sourceItemId, prefer = "target", fields = {} } = req.body || {};
+
+  const errors = [];
+  if (typeof sourceItemId !== "string" || sourceItemId === "") {
+    errors.push("sourceItemId: required");
+  } else if (sourceItemId === target.id) {
+    errors.push("sourceItemId: cannot merge an item into itself");
+  }
+  if (!SIDES.includes(prefer)) {
+    errors.push(`prefer: must be one of ${SIDES.join(", ")}`);
+  }
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    errors.push("fields: must be an object of fieldKey -> target | source");
+  } else {
+    const known = new Set(model.fields.map((f) => f.fieldKey));
+    Object.entries(fields).forEach(([key, side]) => {
+      if (!known.has(key)) errors.push(`fields.${key}: unknown field`);
+      else if (!SIDES.includes(side)) {
+        errors.push(`fields.${key}: must be one of ${SIDES.join(", ")}`);
+      }
+    });
+  }
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  const source = getItem(req.params.id, sourceItemId);
+  if (!source) return res.status(404).json({ error: "Source item not found" });
+
+  const merged = {};
+  const takenFromSource = [];
+  model.fields.forEach(({ fieldKey }) => {
+    const side = fields[fieldKey] || prefer;
+    const [first, second] = side === "source" ? [source, target] : [target, source];
+    const from = isEmpty(first[fieldKey]) ? second : first;
+    if (isEmpty(from[fieldKey])) return;
+    merged[fieldKey] = from[fieldKey];
+    if (from === source && source[fieldKey] !== target[fieldKey]) {
+      takenFromSource.push(fieldKey);
+    }
+  });
+
+  const validation = validateItem(model, merged);
+  if (!validation.ok) {
+    return res.status(400).json({
+      error: "Merged item does not satisfy the template",
+      errors: localizeErrors(validation.errors, requestLanguage(req)),
+    });
+  }
+
+  // The source's identifier is free once it is deleted.
+  const identifier = validation.value.identifier;
+  const conflict = findDuplicateIdentifier(req.params.id, identifier, target.id);
+  if (conflict && conflict.id !== source.id) {
+    return res.status(409).json({ error: identifierConflict(identifier) });
+  }
+
+  const actor = req.auth.clientId;
+  deleteItem(req.params.id, source.id, {
+    action: "merge",
+    actor,
+    details: { mergedInto: target.id },
+  });
+  const item = putItem(
+    req.params.id,
+    editedItem(target, validation.value, actor),
+    { action: "merge", actor, details: { mergedFrom: source.id } }
+  );
+  return res.json({ item, mergedFrom: source.id, takenFromSource });
+});
+
+module.exports = router;
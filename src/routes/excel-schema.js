@@ -1,6 +1,4 @@
 const express = require("express");
-const multer = require("multer");
-const xlsx = require("xlsx");
 const { z } = require("zod");
 const {
   analyzeColumns,
@@ -8,52 +6,40 @@ const {
   generateRuleBasedSchema,
 } = require("../services/ai-schema-generator");
 const { addTemplate } = require("../templates");
+const {
+  templateDefinitionShape,
+  TEMPLATE_LABELS,
+  templateReferenceErrors,
+  compileFieldPattern,
+} = require("../validation");
+const {
+  fromZodError,
+  requestLanguage,
+  localizeErrors,
+} = require("../validation-errors");
+const { readWorkbook } = require("../services/spreadsheet");
+const {
+  parseLayoutOptions,
+  findSheetName,
+  readTable,
+  listSheets,
+  defaultSheetName,
+} = require("../services/sheet-layout");
+const { spreadsheetUpload, handleUploadErrors } = require("./upload");
 
 const router = express.Router();
 
-// Configure multer for memory storage
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (_req, file, cb) => {
-    const allowedMimes = [
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-      "application/vnd.ms-excel",
-      "text/csv",
-      "application/csv",
-    ];
-    const allowedExtensions = /\.(xlsx|xls|csv)$/i;
-
-    if (
-      allowedMimes.includes(file.mimetype) ||
-      allowedExtensions.test(file.originalname)
-    ) {
-      cb(null, true);
-    } else {
-      cb(
-        new Error("Only Excel (.xlsx, .xls) and CSV files are allowed"),
-        false
-      );
-    }
-  },
-});
-
-function parseExcelFile(buffer, filename) {
-  const workbook = xlsx.read(buffer, { type: "buffer" });
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-
-  // Convert to JSON with headers
-  const jsonData = xlsx.utils.sheet_to_json(sheet, { header: 1 });
+function parseExcelFile(workbook, filename, sheetName, layout = {}) {
+  const table = readTable(workbook, sheetName, layout);
 
-  if (jsonData.length < 2) {
+  if (table.rows.length === 0) {
     throw new Error(
       "Excel file must have headers and at least one data row"
     );
   }
 
-  const headers = jsonData[0].map((h) => (h ? String(h).trim() : ""));
-  const dataRows = jsonData.slice(1, 11); // Sample first 10 data rows
+  const headers = table.columns.map((c) => c.header);
+  const dataRows = table.rows.slice(0, 10); // Sample first 10 data rows
 
   // Filter out completely empty columns
   const nonEmptyIndices = headers
@@ -64,30 +50,110 @@ function parseExcelFile(buffer, filename) {
     nonEmptyIndices.map((i) => row[i])
   );
 
-  const columns = analyzeColumns(filteredHeaders, filteredData);
+  // English names and groups from two-row headers travel with the column.
+  const columns = analyzeColumns(filteredHeaders, filteredData).map(
+    (column, i) => {
+      const { englishHeader, group } = table.columns[nonEmptyIndices[i]];
+      return {
+        ...column,
+        ...(englishHeader ? { englishHeader } : {}),
+        ...(group ? { group } : {}),
+      };
+    }
+  );
 
   return {
     filename,
     sheetName,
+    headerRow: table.headerRow,
+    headerRows: table.headerRows,
+    headerDetected: table.headerDetected,
+    dataStartRow: table.dataStartRow,
+    preamble: table.preamble,
     headers: filteredHeaders,
     sampleData: filteredData,
-    totalRows: jsonData.length - 1,
+    totalRows: table.rows.length,
     columns,
   };
 }
 
+// Read the upload and pick the sheet: `sheet` (name or 1-based number),
+// else the first one holding a table. Sends a 400 and returns null when
+// the file or options are unusable.
+function openWorkbook(req, res) {
+  if (!req.file) {
+    res.status(400).json({ error: "No file uploaded" });
+    return null;
+  }
+  const layout = parseLayoutOptions({ ...req.body, ...req.query });
+  if (!layout.ok) {
+    res.status(400).json({ errors: layout.errors });
+    return null;
+  }
+
+  let workbook;
+  let sheets;
+  try {
+    workbook = readWorkbook(req.file.buffer, req.file.originalname);
+    sheets = listSheets(workbook);
+  } catch (error) {
+    res
+      .status(400)
+      .json({ error: "Could not read spreadsheet", detail: error.message });
+    return null;
+  }
+  const { sheet, ...options } = layout.value;
+  const sheetName =
+    sheet !== undefined
+      ? findSheetName(workbook, sheet)
+      : defaultSheetName(workbook, sheets);
+  if (!sheetName) {
+    res.status(400).json({ errors: [`sheet: no sheet "${sheet}"`], sheets });
+    return null;
+  }
+  return { workbook, sheets, sheetName, options };
+}
+
+// POST /v1/excel-to-schema/sheets - List the sheets of a workbook
+router.post("/sheets", spreadsheetUpload.single("file"), (req, res) => {
+  const opened = openWorkbook(req, res);
+  if (!opened) return;
+  return res.json({
+    filename: req.file.originalname,
+    defaultSheet: opened.sheetName,
+    sheets: opened.sheets,
+  });
+});
+
 // POST /v1/excel-to-schema/analyze - Upload and analyze Excel file
-router.post("/analyze", upload.single("file"), async (req, res) => {
+// Optional `sheet`, `headerRow` (spreadsheet row number) and `headerRows`
+// (1 or 2) override the detected table layout.
+router.post("/analyze", spreadsheetUpload.single("file"), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
-    }
+    const opened = openWorkbook(req, res);
+    if (!opened) return;
 
-    const analysis = parseExcelFile(req.file.buffer, req.file.originalname);
+    let analysis;
+    try {
+      analysis = parseExcelFile(
+        opened.workbook,
+        req.file.originalname,
+        opened.sheetName,
+        opened.options
+      );
+    } catch (error) {
+      return res.status(400).json({
+        error: "Could not read spreadsheet",
+        detail: error.message,
+        sheets: opened.sheets,
+      });
+    }
 
     // Debug logging
     console.log("Excel analysis:", {
       filename: analysis.filename,
+      sheetName: analysis.sheetName,
+      headerRow: analysis.headerRow,
       headerCount: analysis.headers.length,
       headers: analysis.headers.slice(0, 5),
       columnCount: analysis.columns.length,
@@ -115,14 +181,23 @@ router.post("/analyze", upload.single("file"), async (req, res) => {
       analysis: {
         filename: analysis.filename,
         sheetName: analysis.sheetName,
+        sheets: opened.sheets,
+        headerRow: analysis.headerRow,
+        headerRows: analysis.headerRows,
+        headerDetected: analysis.headerDetected,
+        dataStartRow: analysis.dataStartRow,
+        preamble: analysis.preamble,
         totalRows: analysis.totalRows,
         columnCount: analysis.headers.length,
         columns: analysis.columns.map((c) => ({
           header: c.header,
+          englishHeader: c.englishHeader,
+          group: c.group,
           inferredType: c.inferredType,
           distinctCount: c.distinctCount,
           hasNulls: c.hasNulls,
           gifMatch: c.gifMatch ? true : false,
+          localGovernmentCodeCheck: c.localGovernmentCodeCheck,
         })),
       },
     });
@@ -147,34 +222,7 @@ const confirmSchema = z.object({
       .string()
       .min(1)
       .regex(/^[a-z0-9-]+$/, "ID must be kebab-case"),
-    label: z.string().min(1),
-    description: z.string().optional(),
-    oneClickRigor: z.boolean().optional().default(false),
-    fields: z
-      .array(
-        z.object({
-          fieldKey: z
-            .string()
-            .min(1)
-            .regex(/^[a-zA-Z_][a-zA-Z0-9_]*$/, "Invalid field key"),
-          label: z.string().min(1),
-          description: z.string().optional(),
-          type: z.enum([
-            "string",
-            "number",
-            "date",
-            "boolean",
-            "latitude",
-            "longitude",
-            "controlledVocabulary",
-          ]),
-          required: z.boolean().optional().default(false),
-          pattern: z.string().optional(),
-          mandatoryMark: z.string().optional(),
-          options: z.array(z.string()).optional(),
-        })
-      )
-      .min(1),
+    ...templateDefinitionShape,
   }),
 });
 
@@ -183,25 +231,25 @@ router.post("/confirm", (req, res) => {
   try {
     const parsed = confirmSchema.safeParse(req.body);
     if (!parsed.success) {
-      const errors = parsed.error.errors.map(
-        (err) => `${err.path.join(".")}: ${err.message}`
-      );
-      return res.status(400).json({ errors });
+      const errors = fromZodError(parsed.error, {
+        data: req.body,
+        labels: TEMPLATE_LABELS,
+      });
+      return res
+        .status(400)
+        .json({ errors: localizeErrors(errors, requestLanguage(req)) });
     }
 
     const { schema } = parsed.data;
+    const referenceErrors = templateReferenceErrors(schema.fields);
+    if (referenceErrors.length > 0) {
+      return res
+        .status(400)
+        .json({ errors: localizeErrors(referenceErrors, requestLanguage(req)) });
+    }
 
     // Convert pattern strings to RegExp objects
-    schema.fields = schema.fields.map((field) => {
-      if (field.pattern) {
-        try {
-          field.pattern = new RegExp(field.pattern);
-        } catch {
-          delete field.pattern;
-        }
-      }
-      return field;
-    });
+    schema.fields = schema.fields.map(compileFieldPattern);
 
     const added = addTemplate(schema);
 
@@ -227,18 +275,6 @@ router.post("/confirm", (req, res) => {
   }
 });
 
-// Error handler for multer
-router.use((err, _req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    if (err.code === "LIMIT_FILE_SIZE") {
-      return res.status(400).json({ error: "File size exceeds 10MB limit" });
-    }
-    return res.status(400).json({ error: err.message });
-  }
-  if (err.message.includes("Only Excel")) {
-    return res.status(400).json({ error: err.message });
-  }
-  next(err);
-});
+router.use(handleUploadErrors);
 
 module.exports = router;
@@ -0,0 +1,85 @@
+const express = require("express");
+const {
+  ENCODINGS,
+  HEADER_STYLES,
+  toCsv,
+  encodeCsv,
+} = require("../services/csv-export");
+const { toGeoJson, toKml } = require("../services/geo-export");
+const { loadModel, selectItems } = require("./item-selection");
+
+// Mounted at /v1/models/:id. File downloads of a model's items; see
+// item-selection.js for which items are included. Exports are what ends up
+// in CKAN, so they only ever contain approved/published items.
+const router = express.Router({ mergeParams: true });
+
+// GET /v1/models/:id/export.csv?header=label|fieldKey&encoding=utf-8|utf-8-bom|shift_jis
+router.get("/export.csv", (req, res) => {
+  const model = loadModel(req, res);
+  if (!model) return;
+
+  const header = req.query.header || "label";
+  const encoding = String(req.query.encoding || "utf-8").toLowerCase();
+  const errors = [];
+  if (!HEADER_STYLES.includes(header)) {
+    errors.push(`header: must be one of ${HEADER_STYLES.join(", ")}`);
+  }
+  if (!ENCODINGS.includes(encoding)) {
+    errors.push(`encoding: must be one of ${ENCODINGS.join(", ")}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  const items = selectItems(req, res, model, ["header", "encoding"], {
+    publishableOnly: true,
+  });
+  if (!items) return;
+
+  const csv = toCsv(model, items, { header });
+  const charset = encoding === "shift_jis" ? "Shift_JIS" : "utf-8";
+
+  res.set("Content-Type", `text/csv; charset=${charset}`);
+  res.set("Content-Disposition", `attachment; filename="${req.params.id}.csv"`);
+  return res.send(encodeCsv(csv, encoding));
+});
+
+// GET /v1/models/:id/export.geojson?labels=true
+router.get("/export.geojson", (req, res) => {
+  const model = loadModel(req, res);
+  if (!model) return;
+  const items = selectItems(req, res, model, ["labels"], {
+    publishableOnly: true,
+  });
+  if (!items) return;
+
+  const collection = toGeoJson(model, items, {
+    labels: req.query.labels === "true",
+  });
+  res.set("Content-Type", "application/geo+json; charset=utf-8");
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${req.params.id}.geojson"`
+  );
+  return res.send(JSON.stringify(collection));
+});
+
+// GET /v1/models/:id/export.kml?labels=true
+router.get("/export.kml", (req, res) => {
+  const model = loadModel(req, res);
+  if (!model) return;
+  const items = selectItems(req, res, model, ["labels"], {
+    publishableOnly: true,
+  });
+  if (!items) return;
+
+  const kml = toKml(model, items, {
+    labels: req.query.labels === "true",
+    title: model.title,
+  });
+  res.set("Content-Type", "application/vnd.google-earth.kml+xml; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${req.params.id}.kml"`);
+  return res.send(kml);
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+const express = require("express");
+const { v4: uuid } = require("uuid");
+const { getModel } = require("../models");
+const { listItems, getItem, putItem, itemsNear } = require("../items");
+const { newItem, editedItem } = require("../workflow");
+const { planImport } = require("../services/item-import");
+const { parseDuplicateOptions } = require("../services/duplicate-detection");
+const { requestLanguage, localizeErrors } = require("../validation-errors");
+const { readWorkbook, readSheetRows } = require("../services/spreadsheet");
+const { spreadsheetUpload, handleUploadErrors } = require("./upload");
+
+// Mounted at /v1/models/:id/items/import.
+const router = express.Router({ mergeParams: true });
+
+// POST /v1/models/:id/items/import?mode=insert|upsert&dryRun=true
+// Imports are all-or-nothing: if any row fails, nothing is written and the
+// row-by-row report comes back with a 400. Rows carry near-duplicate
+// candidates (`duplicateRadius`, `minSimilarity`); `onDuplicate=reject`
+// fails them.
+router.post("/", spreadsheetUpload.single("file"), (req, res) => {
+  const model = getModel(req.params.id);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded" });
+  }
+
+  const options = { ...req.body, ...req.query };
+  const mode = options.mode || "insert";
+  if (!["insert", "upsert"].includes(mode)) {
+    return res.status(400).json({ error: "mode must be insert or upsert" });
+  }
+  const dryRun = options.dryRun === "true" || options.dryRun === true;
+  const duplicateOptions = parseDuplicateOptions(options);
+  if (!duplicateOptions.ok) {
+    return res.status(400).json({ errors: duplicateOptions.errors });
+  }
+
+  let rows;
+  try {
+    const workbook = readWorkbook(req.file.buffer, req.file.originalname, {
+      cellDates: true,
+    });
+    rows = readSheetRows(workbook);
+  } catch (error) {
+    return res
+      .status(400)
+      .json({ error: "Could not read spreadsheet", detail: error.message });
+  }
+
+  const plan = planImport(model, rows, listItems(req.params.id), mode, {
+    duplicates: {
+      ...duplicateOptions.value,
+      nearby: (value, ignoreItemId) =>
+        itemsNear(req.params.id, value, duplicateOptions.value.radius).filter(
+          ({ item }) => item.id !== ignoreItemId
+        ),
+    },
+  });
+  const report = {
+    ...plan,
+    dryRun,
+    rows: plan.rows.map(({ value: _value, ...row }) =>
+      row.errors
+        ? { ...row, errors: localizeErrors(row.errors, requestLanguage(req)) }
+        : row
+    ),
+  };
+
+  if (plan.totalRows === 0) {
+    return res.status(400).json({ ...report, error: "No data rows found" });
+  }
+  if (plan.failed > 0) {
+    return res.status(400).json(report);
+  }
+  if (dryRun) {
+    return res.json(report);
+  }
+
+  const context = { actor: req.auth.clientId, details: { source: "import" } };
+  report.rows = plan.rows.map(({ value, itemId, ...row }) => {
+    const next = itemId
+      ? editedItem(getItem(req.params.id, itemId), value, req.auth.clientId)
+      : newItem(uuid(), value);
+    const item = putItem(req.params.id, next, context);
+    return { ...row, itemId: item.id };
+  });
+
+  return res.status(201).json(report);
+});
+
+router.use(handleUploadErrors);
+
+module.exports = router;
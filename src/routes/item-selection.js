@@ -0,0 +1,65 @@
+const { getModel } = require("../models");
+const { listItems, spatialIndexOf } = require("../items");
+const { parseItemQuery, applyItemQuery } = require("../services/item-query");
+const { PUBLISHABLE_STATUSES } = require("../workflow");
+
+// Whole-model item selection shared by exports and the quality report:
+// the item list filters (field filters, bbox, near) apply but results are
+// never paginated, and only approved/published items count unless
+// `status` says otherwise. With `publishableOnly` (exports, which end up
+// in CKAN) `status` may only narrow that to approved or published.
+
+function loadModel(req, res) {
+  const model = getModel(req.params.id);
+  if (!model) {
+    res.status(404).json({ error: "Model not found" });
+    return null;
+  }
+  return model;
+}
+
+// Returns the matching items, or null after sending a 400. `ownParams` are
+// the endpoint's own query parameters, kept out of the item filters.
+function selectItems(req, res, model, ownParams, { publishableOnly = false } = {}) {
+  const filterQuery = { status: PUBLISHABLE_STATUSES.join(","), ...req.query };
+  ownParams.forEach((key) => delete filterQuery[key]);
+  const unsupported = ["limit", "offset", "cursor", "fields"].filter(
+    (key) => filterQuery[key] !== undefined
+  );
+  if (unsupported.length > 0) {
+    res.status(400).json({
+      errors: unsupported.map((key) => `${key}: not supported on this endpoint`),
+    });
+    return null;
+  }
+
+  const query = parseItemQuery(model, filterQuery);
+  if (!query.ok) {
+    res.status(400).json({ errors: query.errors });
+    return null;
+  }
+  const { statuses } = query.value;
+  if (
+    publishableOnly &&
+    !(statuses && statuses.every((s) => PUBLISHABLE_STATUSES.includes(s)))
+  ) {
+    res.status(400).json({
+      errors: [
+        `status: exports only contain ${PUBLISHABLE_STATUSES.join(", ")} items`,
+      ],
+    });
+    return null;
+  }
+
+  const result = applyItemQuery(
+    listItems(req.params.id),
+    { ...query.value, limit: Infinity, offset: 0 },
+    spatialIndexOf(req.params.id)
+  );
+  return result.items;
+}
+
+module.exports = {
+  loadModel,
+  selectItems,
+};
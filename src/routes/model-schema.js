@@ -0,0 +1,144 @@
+const express = require("express");
+const {
+  getModel,
+  getInstantiatedModel,
+  commitSchemaVersion,
+  getSchemaVersion,
+} = require("../models");
+const { listItems, putItem } = require("../items");
+const { toJsonFields } = require("../templates");
+const {
+  fromZodError,
+  requestLanguage,
+  localizeErrors,
+} = require("../validation-errors");
+const {
+  MIGRATION_LABELS,
+  migrationSchema,
+  applyOperations,
+  planMigration,
+} = require("../services/schema-migration");
+
+// Mounted at /v1/models/:id/schema.
+const router = express.Router({ mergeParams: true });
+
+router.get("/", (req, res) => {
+  const model = getModel(req.params.id);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+  res.json({
+    modelId: req.params.id,
+    schemaVersion: model.schemaVersion || 1,
+    datasetFlags: model.datasetFlags || [],
+    schema: toJsonFields(model.fields),
+  });
+});
+
+router.get("/versions", (req, res) => {
+  const model = getModel(req.params.id);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+  const versions = model.schemaVersions || [{ version: 1, fields: model.fields }];
+  res.json({
+    modelId: req.params.id,
+    current: model.schemaVersion || 1,
+    versions: versions.map(({ fields, ...meta }) => ({
+      ...meta,
+      fieldCount: fields.length,
+    })),
+  });
+});
+
+router.get("/versions/:version", (req, res) => {
+  const version = getSchemaVersion(req.params.id, Number(req.params.version));
+  if (!version) return res.status(404).json({ error: "Schema version not found" });
+  const { fields, ...meta } = version;
+  res.json({ modelId: req.params.id, ...meta, schema: toJsonFields(fields) });
+});
+
+// POST /v1/models/:id/schema/migrations
+// { operations: [...], dryRun?: boolean, allowNonCompliant?: boolean }
+// Every existing item is migrated and re-validated against the new schema
+// first; the version is only committed when all of them still pass (or
+// allowNonCompliant is set) and dryRun is off.
+router.post("/migrations", (req, res) => {
+  const model = getInstantiatedModel(req.params.id);
+  if (!model) {
+    return res.status(404).json({
+      error: "Model not found; instantiate it via /v1/model-templates/:id/apply first",
+    });
+  }
+
+  const parsed = migrationSchema.safeParse(req.body);
+  if (!parsed.success) {
+    const errors = fromZodError(parsed.error, {
+      data: req.body,
+      labels: MIGRATION_LABELS,
+    });
+    return res
+      .status(400)
+      .json({ errors: localizeErrors(errors, requestLanguage(req)) });
+  }
+  const { operations, dryRun, allowNonCompliant } = parsed.data;
+
+  const next = applyOperations(model.fields, operations);
+  if (next.errors.length > 0) {
+    return res
+      .status(400)
+      .json({ errors: localizeErrors(next.errors, requestLanguage(req)) });
+  }
+
+  const plan = planMigration(
+    model,
+    next.fields,
+    next.transform,
+    listItems(req.params.id)
+  );
+  const report = {
+    modelId: req.params.id,
+    fromVersion: model.schemaVersion || 1,
+    toVersion: (model.schemaVersion || 1) + 1,
+    dryRun,
+    itemCount: plan.migrated.length,
+    nonCompliantCount: plan.nonCompliant.length,
+    nonCompliant: plan.nonCompliant.map((entry) => ({
+      ...entry,
+      errors: localizeErrors(entry.errors, requestLanguage(req)),
+    })),
+    schema: toJsonFields(next.fields),
+  };
+
+  if (dryRun) return res.json({ ...report, committed: false });
+  if (plan.nonCompliant.length > 0 && !allowNonCompliant) {
+    return res.status(409).json({
+      ...report,
+      committed: false,
+      error: "Migration would leave non-compliant items; fix them or set allowNonCompliant",
+    });
+  }
+
+  commitSchemaVersion(req.params.id, next.fields, {
+    actor: req.auth.clientId,
+    operations,
+  });
+  // Structural change only: items keep their workflow status.
+  plan.migrated.forEach(({ item, content, changed }) => {
+    if (!changed) return;
+    putItem(
+      req.params.id,
+      {
+        id: item.id,
+        ...content,
+        status: item.status,
+        workflowHistory: item.workflowHistory,
+      },
+      {
+        action: "migrate",
+        actor: req.auth.clientId,
+        details: { schemaVersion: report.toVersion },
+      }
+    );
+  });
+
+  return res.status(201).json({ ...report, committed: true });
+});
+
+module.exports = router;
@@ -0,0 +1,417 @@
+const express = require("express");
+const { z } = require("zod");
+const {
+  definitionOf,
+  getTemplates,
+  getTemplateById,
+  isBuiltInTemplate,
+  toJsonFields,
+  templateVersions,
+  getTemplateVersion,
+  addTemplate,
+  updateTemplate,
+  setTemplateDeprecation,
+  deleteTemplate,
+} = require("../templates");
+const { isGroupReference } = require("../services/field-groups");
+const {
+  getModel,
+  getInstantiatedModel,
+  modelsFromTemplate,
+} = require("../models");
+const { listItems } = require("../items");
+const {
+  templateDefinitionShape,
+  templateFieldEntrySchema,
+  TEMPLATE_LABELS,
+  resolveTemplateFields,
+  templateReferenceErrors,
+  vocabularyOptionErrors,
+  compileFieldPattern,
+} = require("../validation");
+const {
+  FORMATS,
+  HEADER_STYLES,
+  SCHEMING_KINDS,
+  exportTemplate,
+  importTemplate,
+} = require("../services/template-interchange");
+const {
+  diffTemplateFields,
+  checkItems,
+} = require("../services/template-compatibility");
+const {
+  fromZodError,
+  requestLanguage,
+  localizeErrors,
+} = require("../validation-errors");
+
+// Mounted at /v1/model-templates. Built-in templates are read-only; custom
+// ones keep every version of their definition.
+const router = express.Router();
+
+const putSchema = z.object({
+  id: z
+    .string()
+    .min(1)
+    .regex(/^[a-z0-9-]+$/, "ID must be kebab-case"),
+  ...templateDefinitionShape,
+  fields: z.array(templateFieldEntrySchema).min(1),
+  deprecated: z.boolean().optional(),
+  deprecationMessage: z.string().optional(),
+});
+
+const compatibilitySchema = z
+  .object({
+    from: z.number().int().positive().optional(),
+    to: z.number().int().positive().optional(),
+    fields: z.array(templateFieldEntrySchema).min(1).optional(),
+    modelId: z.string().min(1).optional(),
+  })
+  .refine((body) => (body.to === undefined) !== (body.fields === undefined), {
+    path: ["to"],
+    params: {
+      customMessage: {
+        ja: "to と fields のどちらか一方を指定してください",
+        en: "Give exactly one of to or fields",
+      },
+    },
+  });
+
+// File name suffix and content type per interchange format.
+const EXPORT_FILES = {
+  "json-schema": [".schema.json", "application/schema+json"],
+  "table-schema": [".tableschema.json", "application/json"],
+  "ckan-scheming": [".scheming.yaml", "application/yaml"],
+};
+const YAML_TYPES = ["application/yaml", "application/x-yaml", "text/yaml", "text/plain"];
+
+function describeTemplate(template) {
+  const definition = definitionOf(template);
+  return {
+    id: template.id,
+    ...definition,
+    fields: toJsonFields(definition.fields),
+    version: template.version || 1,
+    builtIn: isBuiltInTemplate(template.id),
+    deprecation: template.deprecation || null,
+    // The stored field list, when it takes fields from field groups.
+    ...(template.composedFrom
+      ? { composedFrom: toJsonFields(template.composedFrom) }
+      : {}),
+  };
+}
+
+// Models that still depend on the template: instantiated from it, or items
+// stored under the template id itself (an implicit model).
+function liveModels(templateId) {
+  const modelIds = modelsFromTemplate(templateId);
+  if (
+    !getInstantiatedModel(templateId) &&
+    listItems(templateId).length > 0
+  ) {
+    modelIds.push(templateId);
+  }
+  return modelIds;
+}
+
+router.get("/", (_req, res) => {
+  res.json({ templates: getTemplates().map(describeTemplate) });
+});
+
+router.get("/:id", (req, res) => {
+  const template = getTemplateById(req.params.id);
+  if (!template) return res.status(404).json({ error: "Template not found" });
+  res.json({
+    ...describeTemplate(template),
+    versions: templateVersions(template).map(({ fields, ...meta }) => ({
+      version: meta.version,
+      createdAt: meta.createdAt,
+      actor: meta.actor,
+      fieldCount: fields.length,
+    })),
+    models: modelsFromTemplate(template.id),
+  });
+});
+
+router.get("/:id/versions/:version", (req, res) => {
+  const version = getTemplateVersion(req.params.id, Number(req.params.version));
+  if (!version) {
+    return res.status(404).json({ error: "Template version not found" });
+  }
+  res.json({
+    id: req.params.id,
+    ...version,
+    fields: toJsonFields(version.fields),
+    ...(version.composedFrom
+      ? { composedFrom: toJsonFields(version.composedFrom) }
+      : {}),
+  });
+});
+
+function interchangeErrors(query) {
+  const errors = [];
+  if (!FORMATS.includes(query.format || "json-schema")) {
+    errors.push(`format: must be one of ${FORMATS.join(", ")}`);
+  }
+  if (query.header !== undefined && !HEADER_STYLES.includes(query.header)) {
+    errors.push(`header: must be one of ${HEADER_STYLES.join(", ")}`);
+  }
+  if (query.kind !== undefined && !SCHEMING_KINDS.includes(query.kind)) {
+    errors.push(`kind: must be one of ${SCHEMING_KINDS.join(", ")}`);
+  }
+  return errors;
+}
+
+// POST /v1/model-templates/import?format=json-schema|table-schema|ckan-scheming
+//      &id=&dryRun=true
+// Body: the document (JSON, or YAML for ckan-scheming). The template id comes
+// from `id` or the document; it is saved like PUT /:id.
+router.post(
+  "/import",
+  express.text({ type: YAML_TYPES, limit: "1mb" }),
+  (req, res) => {
+    const format = req.query.format || "json-schema";
+    const errors = interchangeErrors(req.query);
+    if (errors.length > 0) return res.status(400).json({ errors });
+
+    let imported;
+    try {
+      imported = importTemplate(req.body, format);
+    } catch (error) {
+      return res.status(400).json({ errors: [`body: ${error.message}`] });
+    }
+    const { id: documentId, ...definition } = imported.definition;
+    const id = req.query.id || documentId;
+    if (!id) {
+      return res
+        .status(400)
+        .json({ errors: ["id: required when the document does not name the template"] });
+    }
+    // Table Schema has no required title; the id stands in.
+    return saveTemplate(req, res, id, { label: id, ...definition }, {
+      dryRun: req.query.dryRun === "true",
+      extra: { warnings: imported.warnings },
+    });
+  }
+);
+
+// GET /v1/model-templates/:id/export?format=json-schema|table-schema|ckan-scheming
+//     &version=&header=label|fieldKey (table-schema)&kind=dataset|resource (ckan-scheming)
+router.get("/:id/export", (req, res) => {
+  const template = getTemplateById(req.params.id);
+  if (!template) return res.status(404).json({ error: "Template not found" });
+  const format = req.query.format || "json-schema";
+  const errors = interchangeErrors(req.query);
+  if (errors.length > 0) return res.status(400).json({ errors });
+
+  let source = template;
+  if (req.query.version !== undefined) {
+    const version = getTemplateVersion(template.id, Number(req.query.version));
+    if (!version) {
+      return res.status(404).json({ error: "Template version not found" });
+    }
+    source = { id: template.id, ...version };
+  }
+  const output = exportTemplate(source, format, {
+    header: req.query.header,
+    kind: req.query.kind,
+  });
+
+  const [suffix, contentType] = EXPORT_FILES[format];
+  res.set("Content-Type", `${contentType}; charset=utf-8`);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${source.id}${suffix}"`
+  );
+  return res.send(
+    typeof output === "string" ? output : JSON.stringify(output, null, 2)
+  );
+});
+
+// POST /v1/model-templates/:id/compatibility
+// { from?, to? | fields?, modelId? }
+// Diffs version `from` (default: the current one) against version `to` or a
+// proposed field list, and with `modelId` validates that model's items
+// against the new fields. Nothing is saved.
+router.post("/:id/compatibility", (req, res) => {
+  const template = getTemplateById(req.params.id);
+  if (!template) return res.status(404).json({ error: "Template not found" });
+
+  const input = req.body || {};
+  const parsed = compatibilitySchema.safeParse(input);
+  if (!parsed.success) {
+    const errors = fromZodError(parsed.error, {
+      data: input,
+      labels: TEMPLATE_LABELS,
+    });
+    return res
+      .status(400)
+      .json({ errors: localizeErrors(errors, requestLanguage(req)) });
+  }
+  const { from = template.version || 1, to, fields, modelId } = parsed.data;
+
+  const source = getTemplateVersion(template.id, from);
+  if (!source) return res.status(404).json({ error: "Template version not found" });
+  let targetFields;
+  if (to !== undefined) {
+    const target = getTemplateVersion(template.id, to);
+    if (!target) {
+      return res.status(404).json({ error: "Template version not found" });
+    }
+    targetFields = target.fields;
+  } else {
+    const composed = resolveTemplateFields(fields);
+    const errors =
+      composed.errors.length > 0
+        ? composed.errors
+        : templateReferenceErrors(composed.fields);
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ errors: localizeErrors(errors, requestLanguage(req)) });
+    }
+    targetFields = composed.fields.map(compileFieldPattern);
+  }
+
+  const model = modelId !== undefined ? getModel(modelId) : null;
+  if (modelId !== undefined && !model) {
+    return res.status(404).json({ error: "Model not found" });
+  }
+
+  const report = {
+    templateId: template.id,
+    from,
+    // null when comparing against a proposed field list.
+    to: to === undefined ? null : to,
+    ...diffTemplateFields(source.fields, targetFields),
+  };
+  if (model) {
+    const check = checkItems(model, targetFields, listItems(modelId));
+    report.items = {
+      modelId,
+      ...check,
+      failing: check.failing.map((entry) => ({
+        ...entry,
+        errors: localizeErrors(entry.errors, requestLanguage(req)),
+      })),
+    };
+  }
+  return res.json(report);
+});
+
+// Validate `body` as the definition of template `id` and save it: a new
+// template, or a new version when the definition changed. `extra` is
+// merged into the response. Returns nothing; the response is sent.
+function saveTemplate(req, res, id, body, { dryRun = false, extra = {} } = {}) {
+  if (isBuiltInTemplate(id)) {
+    return res.status(409).json({ error: "Built-in templates are read-only" });
+  }
+
+  const input = { ...(body || {}), id };
+  const parsed = putSchema.safeParse(input);
+  if (!parsed.success) {
+    const errors = fromZodError(parsed.error, {
+      data: input,
+      labels: TEMPLATE_LABELS,
+    });
+    return res
+      .status(400)
+      .json({ errors: localizeErrors(errors, requestLanguage(req)), ...extra });
+  }
+  const { deprecated, deprecationMessage, ...definition } = parsed.data;
+  const composed = resolveTemplateFields(definition.fields);
+  const errors =
+    composed.errors.length > 0
+      ? composed.errors
+      : [
+          ...vocabularyOptionErrors(composed.fields),
+          ...templateReferenceErrors(composed.fields),
+        ];
+  if (errors.length > 0) {
+    return res.status(400).json({
+      errors: localizeErrors(errors, requestLanguage(req)),
+      ...extra,
+    });
+  }
+  if (dryRun) {
+    const preview = { ...definition, fields: composed.fields };
+    if (composed.fields !== definition.fields) {
+      preview.composedFrom = definition.fields;
+    }
+    return res.json({ dryRun: true, template: describeTemplate(preview), ...extra });
+  }
+  // Field group references are stored as given, patterns in overrides
+  // compiled like those of plain fields.
+  definition.fields = definition.fields.map((entry) =>
+    isGroupReference(entry)
+      ? {
+          ...entry,
+          ...(entry.override
+            ? {
+                override: Object.fromEntries(
+                  Object.entries(entry.override).map(([key, field]) => [
+                    key,
+                    compileFieldPattern(field),
+                  ])
+                ),
+              }
+            : {}),
+        }
+      : compileFieldPattern(entry)
+  );
+
+  const actor = req.auth.clientId;
+  const existing = getTemplateById(id);
+  let template;
+  let versionCreated = true;
+  if (existing) {
+    ({ template, created: versionCreated } = updateTemplate(id, definition, {
+      actor,
+    }));
+  } else {
+    template = addTemplate(definition, { actor });
+  }
+  if (deprecated !== undefined || deprecationMessage !== undefined) {
+    template = setTemplateDeprecation(id, {
+      deprecated: deprecated !== undefined ? deprecated : Boolean(template.deprecation),
+      message: deprecationMessage,
+      actor,
+    });
+  }
+
+  return res.status(existing ? 200 : 201).json({
+    template: describeTemplate(getTemplateById(template.id)),
+    versionCreated,
+    ...extra,
+  });
+}
+
+// PUT /v1/model-templates/:id
+// { label, description?, oneClickRigor?, fields, deprecated?, deprecationMessage? }
+// Creates the template, or appends a version when the definition changed.
+// `deprecated` is kept as it is when omitted.
+router.put("/:id", (req, res) => {
+  saveTemplate(req, res, req.params.id, req.body);
+});
+
+// Models own a copy of their schema, but deleting a template they came
+// from would orphan their templateId, so that is refused.
+router.delete("/:id", (req, res) => {
+  const template = getTemplateById(req.params.id);
+  if (!template) return res.status(404).json({ error: "Template not found" });
+  if (isBuiltInTemplate(template.id)) {
+    return res.status(409).json({ error: "Built-in templates are read-only" });
+  }
+  const models = liveModels(template.id);
+  if (models.length > 0) {
+    return res.status(409).json({
+      error: "Template is in use by models; deprecate it instead",
+      models,
+    });
+  }
+  deleteTemplate(template.id);
+  return res.status(204).end();
+});
+
+module.exports = router;
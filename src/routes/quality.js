@@ -0,0 +1,67 @@
+const express = require("express");
+const { listItems } = require("../items");
+const {
+  DEFAULT_STALE_DAYS,
+  buildQualityReport,
+  toMarkdown,
+  toHtml,
+} = require("../services/quality-report");
+const { loadModel, selectItems } = require("./item-selection");
+
+// Mounted at /v1/models/:id. Data quality report over the same items an
+// export would contain (item list filters apply, approved/published by
+// default); the openness rating always looks at every published item.
+const router = express.Router({ mergeParams: true });
+
+function buildReport(req, res) {
+  const model = loadModel(req, res);
+  if (!model) return null;
+
+  const staleDays =
+    req.query.staleDays === undefined
+      ? DEFAULT_STALE_DAYS
+      : Number(req.query.staleDays);
+  if (!Number.isInteger(staleDays) || staleDays < 1) {
+    res.status(400).json({ errors: ["staleDays: must be a positive integer"] });
+    return null;
+  }
+
+  const items = selectItems(req, res, model, ["staleDays"]);
+  if (!items) return null;
+  return buildQualityReport(model, items, listItems(req.params.id), {
+    staleDays,
+  });
+}
+
+// GET /v1/models/:id/quality?staleDays=365
+router.get("/quality", (req, res) => {
+  const report = buildReport(req, res);
+  if (!report) return;
+  return res.json(report);
+});
+
+// GET /v1/models/:id/quality.md
+router.get("/quality.md", (req, res) => {
+  const report = buildReport(req, res);
+  if (!report) return;
+  res.set("Content-Type", "text/markdown; charset=utf-8");
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${req.params.id}-quality.md"`
+  );
+  return res.send(toMarkdown(report));
+});
+
+// GET /v1/models/:id/quality.html
+router.get("/quality.html", (req, res) => {
+  const report = buildReport(req, res);
+  if (!report) return;
+  res.set("Content-Type", "text/html; charset=utf-8");
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${req.params.id}-quality.html"`
+  );
+  return res.send(toHtml(report));
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require("express");
+const { getModel } = require("../models");
+const { validateItem } = require("../validation");
+const { requestLanguage, localizeErrors } = require("../validation-errors");
+const {
+  getItem,
+  putItem,
+  findDuplicateIdentifier,
+  identifierConflict,
+} = require("../items");
+const {
+  listRevisions,
+  getRevision,
+  diffSnapshots,
+} = require("../revisions");
+const { newItem, editedItem } = require("../workflow");
+
+// Mounted at /v1/models/:id/items/:itemId/revisions. History stays readable
+// after an item is deleted, which is what the open-data audit needs.
+const router = express.Router({ mergeParams: true });
+
+function loadHistory(req, res) {
+  if (!getModel(req.params.id)) {
+    res.status(404).json({ error: "Model not found" });
+    return null;
+  }
+  const history = listRevisions(req.params.id, req.params.itemId);
+  if (history.length === 0) {
+    res.status(404).json({ error: "No revisions for this item" });
+    return null;
+  }
+  return history;
+}
+
+function parseRev(raw) {
+  const rev = Number(raw);
+  return Number.isInteger(rev) && rev > 0 ? rev : null;
+}
+
+router.get("/", (req, res) => {
+  const history = loadHistory(req, res);
+  if (!history) return;
+  res.json({ itemId: req.params.itemId, revisions: history });
+});
+
+// GET .../revisions/diff?from=1&to=3 compares the item state after each
+// revision; `to` defaults to the latest revision.
+router.get("/diff", (req, res) => {
+  const history = loadHistory(req, res);
+  if (!history) return;
+
+  const fromRev = parseRev(req.query.from);
+  const toRev =
+    req.query.to === undefined ? history.length : parseRev(req.query.to);
+  if (!fromRev || !toRev) {
+    return res
+      .status(400)
+      .json({ error: "from and to must be revision numbers" });
+  }
+
+  const from = getRevision(req.params.id, req.params.itemId, fromRev);
+  const to = getRevision(req.params.id, req.params.itemId, toRev);
+  if (!from || !to) {
+    return res.status(404).json({ error: "Revision not found" });
+  }
+
+  return res.json({
+    itemId: req.params.itemId,
+    from: fromRev,
+    to: toRev,
+    changes: diffSnapshots(from.after, to.after),
+  });
+});
+
+router.get("/:rev", (req, res) => {
+  const history = loadHistory(req, res);
+  if (!history) return;
+  const revision = history.find((r) => r.rev === parseRev(req.params.rev));
+  if (!revision) return res.status(404).json({ error: "Revision not found" });
+  return res.json({ revision });
+});
+
+// Restoring writes a new revision; it never rewrites history. The old
+// snapshot must still pass the model's current template.
+router.post("/:rev/restore", (req, res) => {
+  const history = loadHistory(req, res);
+  if (!history) return;
+  const revision = history.find((r) => r.rev === parseRev(req.params.rev));
+  if (!revision) return res.status(404).json({ error: "Revision not found" });
+  if (!revision.after) {
+    return res.status(400).json({
+      error: `Revision ${revision.rev} is a deletion; restore an earlier revision`,
+    });
+  }
+
+  const { id: _id, ...snapshot } = revision.after;
+  const validation = validateItem(getModel(req.params.id), snapshot);
+  if (!validation.ok) {
+    return res.status(400).json({
+      error: `Revision ${revision.rev} no longer satisfies the current template`,
+      errors: localizeErrors(validation.errors, requestLanguage(req)),
+    });
+  }
+
+  const identifier = validation.value.identifier;
+  if (findDuplicateIdentifier(req.params.id, identifier, req.params.itemId)) {
+    return res.status(409).json({ error: identifierConflict(identifier) });
+  }
+
+  // Restored content goes back through review like any other edit.
+  const existing = getItem(req.params.id, req.params.itemId);
+  const item = putItem(
+    req.params.id,
+    existing
+      ? editedItem(existing, validation.value, req.auth.clientId)
+      : newItem(req.params.itemId, validation.value),
+    {
+      action: "restore",
+      actor: req.auth.clientId,
+      details: { restoredFrom: revision.rev },
+    }
+  );
+  return res.status(existing ? 200 : 201).json({ item });
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require("express");
+const {
+  validateLocalGovernmentCode,
+} = require("../services/local-government-code");
+const { parseAddress, addressMatchesCode } = require("../services/address");
+
+// Stand-alone validators for the UI and data-prep scripts.
+const router = express.Router();
+
+// GET /v1/tools/local-government-codes/:code?verifyRegistry=true
+router.get("/local-government-codes/:code", (req, res) => {
+  const result = validateLocalGovernmentCode(req.params.code, {
+    verifyRegistry: req.query.verifyRegistry === "true",
+  });
+  res.json(result);
+});
+
+// POST /v1/tools/normalize-address { address, localGovernmentCode? }
+// Parts, normalized form and postal code from the offline dictionary;
+// `matchesLocalGovernmentCode` is true/false/null (unknown) when a code
+// is given.
+router.post("/normalize-address", (req, res) => {
+  const { address, localGovernmentCode } = req.body || {};
+  const errors = [];
+  if (typeof address !== "string" || address.trim() === "") {
+    errors.push("address: must be a non-empty string");
+  }
+  if (localGovernmentCode !== undefined) {
+    const code = validateLocalGovernmentCode(localGovernmentCode);
+    if (!code.ok) errors.push(`localGovernmentCode: ${code.errors.join(", ")}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  const code =
+    localGovernmentCode !== undefined ? String(localGovernmentCode) : undefined;
+  const result = parseAddress(address, { localGovernmentCode: code });
+  if (code) {
+    result.matchesLocalGovernmentCode = addressMatchesCode(result, code);
+  }
+  return res.json(result);
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const multer = require("multer");
+
+// Spreadsheet upload middleware shared by excel-to-schema and item import.
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (_req, file, cb) => {
+    const allowedMimes = [
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "application/vnd.ms-excel",
+      "text/csv",
+      "application/csv",
+    ];
+    const allowedExtensions = /\.(xlsx|xls|csv)$/i;
+
+    if (
+      allowedMimes.includes(file.mimetype) ||
+      allowedExtensions.test(file.originalname)
+    ) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error("Only Excel (.xlsx, .xls) and CSV files are allowed"),
+        false
+      );
+    }
+  },
+});
+
+// Error handler for multer
+function handleUploadErrors(err, _req, res, next) {
+  if (err instanceof multer.MulterError) {
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({ error: "File size exceeds 10MB limit" });
+    }
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.message.includes("Only Excel")) {
+    return res.status(400).json({ error: err.message });
+  }
+  next(err);
+}
+
+module.exports = {
+  spreadsheetUpload,
+  handleUploadErrors,
+};
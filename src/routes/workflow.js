@@ -0,0 +1,38 @@
+const express = require("express");
+const { getModel } = require("../models");
+const { getItem, putItem } = require("../items");
+const { transition } = require("../workflow");
+
+// Mounted at /v1/models/:id/items/:itemId. Review actions; publishing
+// itself happens through publish/orion once an item is approved.
+const router = express.Router({ mergeParams: true });
+
+// POST .../submit | approve | reject | retire | reopen  { "comment": "..." }
+router.post("/:action(submit|approve|reject|retire|reopen)", (req, res) => {
+  const model = getModel(req.params.id);
+  if (!model) return res.status(404).json({ error: "Model not found" });
+  const item = getItem(req.params.id, req.params.itemId);
+  if (!item) return res.status(404).json({ error: "Item not found" });
+
+  const comment = req.body && req.body.comment;
+  if (comment !== undefined && typeof comment !== "string") {
+    return res.status(400).json({ error: "comment must be a string" });
+  }
+
+  const result = transition(item, req.params.action, {
+    actor: req.auth.clientId,
+    comment,
+  });
+  if (!result.ok) {
+    return res.status(result.statusCode).json({ error: result.error });
+  }
+
+  const updated = putItem(req.params.id, result.item, {
+    action: req.params.action,
+    actor: req.auth.clientId,
+    details: comment ? { comment } : {},
+  });
+  return res.json({ item: updated });
+});
+
+module.exports = router;
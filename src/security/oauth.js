@@ -1,4 +1,5 @@
 const { v4: uuid } = require("uuid");
+const { getCollection } = require("../storage");
 
 const clients = new Map();
 clients.set("ace-prototype-client", {
@@ -6,7 +7,7 @@ clients.set("ace-prototype-client", {
   scopes: ["datasets:write", "datasets:read", "items:write", "assets:write"],
 });
 
-const tokens = new Map();
+const tokens = getCollection("tokens");
 const TOKEN_TTL_MS = 60 * 60 * 1000;
 
 function issueToken(req, res) {
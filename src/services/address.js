@@ -0,0 +1,324 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  listMunicipalities,
+  lookupMunicipality,
+} = require("./local-government-code");
+
+// Offline parsing of Japanese addresses into 都道府県 / 市区町村 / 町字 /
+// 丁目 / 番地・号. Prefectures and municipalities come from the municipality
+// registry (see local-government-code.js); towns with their 丁目 count and
+// 郵便番号 from a town dictionary. The bundled one covers a few central
+// Tokyo wards only; point ADDRESS_DICTIONARY_PATH at a fuller list in the
+// same [{ code, towns: [{ name, postalCode, chome }] }] shape (e.g. built
+// from 日本郵便 KEN_ALL.CSV). Towns missing from it are taken to end at the
+// first block number.
+const BUNDLED_DICTIONARY_PATH = path.join(__dirname, "../data/addresses.json");
+
+let dictionary = null;
+
+function loadDictionary() {
+  if (!dictionary) {
+    const dictionaryPath =
+      process.env.ADDRESS_DICTIONARY_PATH || BUNDLED_DICTIONARY_PATH;
+    const entries = JSON.parse(fs.readFileSync(dictionaryPath, "utf8"));
+    dictionary = new Map(entries.map((entry) => [entry.code, entry.towns]));
+  }
+  return dictionary;
+}
+
+const KANJI_DIGITS = "〇一二三四五六七八九";
+const KANJI_UNITS = { 十: 10, 百: 100, 千: 1000 };
+const KANJI_NUMBER = "[〇一二三四五六七八九十百千]+";
+const NUMBER = `(?:[0-9]+|${KANJI_NUMBER})`;
+
+// Leading 丁目・番地・号 part, e.g. 一丁目2番地の3 or 1-2-3.
+const BLOCKS = new RegExp(
+  `^(?:${NUMBER}(?:丁目\\s*|番地の?|番の?|号|-|の))*(?:${NUMBER}(?:番地|番|号)?)?`
+);
+// Where a town not in the dictionary ends; numbered 条・線・地割 (北1条西,
+// 東5線) belong to the town name.
+const FIRST_BLOCK = new RegExp(
+  `${KANJI_NUMBER}(?:丁目|番|号|-)|(?<![0-9])[0-9]+(?![0-9]|条|線|地割)`
+);
+// Fallback for municipalities missing from the registry: 郡 + 町村, 市, 区.
+const MUNICIPALITY_PATTERN = /^(?:[^\d\s]{1,6}?郡)?[^\d\s]{1,6}?[市区町村]/;
+// 政令指定都市の区, when the registry only lists the city.
+const WARD_PATTERN = /^[^\d\s]{1,3}?区/;
+
+// 二十三 -> 23, 一〇五 -> 105
+function kanjiToNumber(text) {
+  let total = 0;
+  let current = 0;
+  for (const ch of text) {
+    if (KANJI_UNITS[ch]) {
+      total += (current || 1) * KANJI_UNITS[ch];
+      current = 0;
+    } else {
+      current = current * 10 + KANJI_DIGITS.indexOf(ch);
+    }
+  }
+  return total + current;
+}
+
+// 霞ヶ関 / 霞ケ関 / 霞が関 and 丸ノ内 / 丸の内 spell the same town. Keeps
+// the length, so a match on keys slices the original text.
+function matchKey(text) {
+  return text.replace(/[ヶケヵがガ]/g, "ケ").replace(/[ノ之]/g, "の");
+}
+
+// NFKC (full-width digits and hyphens), dash variants between numbers and
+// whitespace.
+function cleanInput(text) {
+  return text
+    .normalize("NFKC")
+    .replace(/([0-9〇一二三四五六七八九十])\s*[‐‑‒–—―−ー－ｰ]\s*(?=[0-9〇一二三四五六七八九十])/g, "$1-")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// A 〒 code typed in front of the address: 〒100-0001 東京都... or
+// 1000001 東京都...
+const POSTAL_PREFIX = /^〒?\s*(\d{3})-?(\d{4})\s+/;
+
+/**
+ * Split a typed leading 郵便番号 off an address. Returns { postalCode, rest }
+ * with `postalCode` null when there is none; `rest` is cleaned like the
+ * input of parseAddress.
+ */
+function splitPostalCode(input) {
+  const text = cleanInput(String(input));
+  const match = text.match(POSTAL_PREFIX);
+  if (!match) return { postalCode: null, rest: text };
+  return { postalCode: match[1] + match[2], rest: text.slice(match[0].length) };
+}
+
+// Prefecture of a 全国地方公共団体コード, from its first two digits.
+function prefectureOfCode(code) {
+  return (
+    listMunicipalities().find(
+      (entry) => entry.name === "" && entry.code.slice(0, 2) === String(code).slice(0, 2)
+    ) || null
+  );
+}
+
+function byLongestName(a, b) {
+  return b.name.length - a.name.length;
+}
+
+function findPrefecture(text) {
+  return (
+    listMunicipalities().find(
+      (entry) => entry.name === "" && text.startsWith(entry.prefecture)
+    ) || null
+  );
+}
+
+// Registry match first (longest name, `localGovernmentCode` settling ties
+// such as 府中市 in 東京都 and 広島県); the pattern fallback only runs once
+// the prefecture is known, so a bare 有楽町 is not read as a town (町).
+function findMunicipality(text, prefecture, localGovernmentCode) {
+  const candidates = listMunicipalities()
+    .filter((entry) => entry.name !== "" && text.startsWith(entry.name))
+    .filter((entry) => !prefecture || entry.prefecture === prefecture)
+    .sort(byLongestName);
+
+  let entry = null;
+  let name = null;
+  if (candidates.length > 0) {
+    const longest = candidates.filter(
+      (c) => c.name.length === candidates[0].name.length
+    );
+    entry =
+      longest.find((c) => c.code === localGovernmentCode) ||
+      (longest.length === 1 ? longest[0] : null);
+    name = longest[0].name;
+  } else if (prefecture) {
+    const match = text.match(MUNICIPALITY_PATTERN);
+    name = match ? match[0] : null;
+  }
+  if (!name) return null;
+
+  const ward = name.endsWith("市") && text.slice(name.length).match(WARD_PATTERN);
+  return { entry, name: ward ? name + ward[0] : name };
+}
+
+function findTown(text, code) {
+  const key = matchKey(text);
+  const town = ((code && loadDictionary().get(code)) || [])
+    .filter((t) => key.startsWith(matchKey(t.name)))
+    .sort(byLongestName)[0];
+  if (town) return { town, name: town.name, rest: text.slice(town.name.length) };
+
+  const end = text.search(FIRST_BLOCK);
+  const name = (end === -1 ? text : text.slice(0, end)).trim();
+  if (!name || name.includes(" ")) return { town: null, name: null, rest: text };
+  return { town: null, name, rest: text.slice(name.length) };
+}
+
+// 一丁目二番地の三 -> { chome: 1, block: "2-3" }. In towns with 丁目, a
+// bare 1-2-3 starts with the 丁目 too.
+function parseBlocks(text, town) {
+  const rest = text.trim();
+  const region = rest.match(BLOCKS)[0];
+  const building = rest.slice(region.length).trim() || null;
+
+  const numeric = region
+    .replace(new RegExp(KANJI_NUMBER, "g"), (m) => String(kanjiToNumber(m)))
+    .replace(/\s+/g, "");
+  let chome = null;
+  let parts = numeric;
+  const explicit = numeric.match(/^(\d+)丁目(.*)$/);
+  if (explicit) {
+    chome = Number(explicit[1]);
+    parts = explicit[2];
+  }
+  let numbers = parts
+    .replace(/番地の?|番の?|号|の/g, "-")
+    .split("-")
+    .filter((part) => part !== "");
+  if (!explicit && town && town.chome > 0 && numbers.length > 0) {
+    chome = Number(numbers[0]);
+    numbers = numbers.slice(1);
+  }
+
+  return {
+    chome,
+    block: numbers.length > 0 ? numbers.join("-") : null,
+    building,
+  };
+}
+
+/**
+ * Split an address into its parts and rebuild it in one notation:
+ * 東京都千代田区丸の内一丁目1番1号 -> 東京都千代田区丸の内1丁目1-1.
+ * `localGovernmentCode` settles ambiguous municipality names and supplies
+ * the prefecture when the address has none. `warnings` lists
+ * prefectureInferred, municipalityNotFound, townNotInDictionary and
+ * chomeOutOfRange.
+ */
+function parseAddress(input, { localGovernmentCode } = {}) {
+  const result = {
+    input,
+    normalized: null,
+    prefecture: null,
+    municipality: null,
+    town: null,
+    chome: null,
+    block: null,
+    building: null,
+    postalCode: null,
+    localGovernmentCode: null,
+    warnings: [],
+  };
+
+  const typed = splitPostalCode(input);
+  let rest = typed.rest;
+  result.postalCode = typed.postalCode;
+  result.normalized = rest;
+
+  const prefecture = findPrefecture(rest);
+  if (prefecture) {
+    result.prefecture = prefecture.prefecture;
+    rest = rest.slice(prefecture.prefecture.length);
+  }
+
+  let municipality = findMunicipality(
+    rest,
+    result.prefecture,
+    localGovernmentCode
+  );
+  // 武蔵野市吉祥寺本町 with 132039: names missing from the registry are
+  // only read by pattern once the prefecture is known. When the registry
+  // does list the code's municipality, the address did not start with it
+  // and a pattern match (吉祥寺本町) would be a guess.
+  const listed =
+    localGovernmentCode && lookupMunicipality(String(localGovernmentCode));
+  const codePrefecture =
+    !municipality &&
+    !result.prefecture &&
+    localGovernmentCode &&
+    !(listed && listed.name)
+      ? prefectureOfCode(localGovernmentCode)
+      : null;
+  if (codePrefecture) {
+    municipality = findMunicipality(
+      rest,
+      codePrefecture.prefecture,
+      localGovernmentCode
+    );
+    if (municipality) {
+      result.prefecture = codePrefecture.prefecture;
+      result.warnings.push("prefectureInferred");
+    }
+  }
+  if (!municipality) {
+    result.warnings.push("municipalityNotFound");
+    return result;
+  }
+  result.municipality = municipality.name;
+  rest = rest.slice(municipality.name.length);
+  if (municipality.entry) {
+    result.localGovernmentCode = municipality.entry.code;
+    if (!result.prefecture) {
+      result.prefecture = municipality.entry.prefecture;
+      result.warnings.push("prefectureInferred");
+    }
+  }
+
+  const town = findTown(rest, result.localGovernmentCode);
+  const head = `${result.prefecture || ""}${result.municipality}`;
+  if (!town.name) {
+    result.normalized = `${head}${rest}`;
+    return result;
+  }
+  result.town = town.name;
+  if (!town.town) result.warnings.push("townNotInDictionary");
+  if (town.town && town.town.postalCode) result.postalCode = town.town.postalCode;
+
+  Object.assign(result, parseBlocks(town.rest, town.town));
+  if (town.town && result.chome !== null && result.chome > town.town.chome) {
+    result.warnings.push("chomeOutOfRange");
+  }
+
+  result.normalized = [
+    head,
+    result.town,
+    result.chome !== null ? `${result.chome}丁目` : "",
+    result.block || "",
+    result.building ? ` ${result.building}` : "",
+  ].join("");
+  return result;
+}
+
+/**
+ * Whether a parsed address lies in the municipality of `code`: true,
+ * false, or null when the registry cannot tell (then only the prefecture,
+ * from the code's first two digits, is compared).
+ */
+function addressMatchesCode(address, code) {
+  if (!address.municipality) return null;
+  const municipality = lookupMunicipality(String(code));
+  if (!municipality) {
+    const prefecture = prefectureOfCode(code);
+    if (!prefecture || !address.prefecture) return null;
+    return prefecture.prefecture === address.prefecture ? null : false;
+  }
+  if (address.prefecture && address.prefecture !== municipality.prefecture) {
+    return false;
+  }
+  // Prefecture-level codes (e.g. 130001 東京都) cover every municipality;
+  // 札幌市 and 札幌市中央区 count as the same place.
+  return (
+    municipality.name === "" ||
+    address.municipality.startsWith(municipality.name) ||
+    municipality.name.startsWith(address.municipality)
+  );
+}
+
+module.exports = {
+  kanjiToNumber,
+  splitPostalCode,
+  parseAddress,
+  addressMatchesCode,
+};
@@ -1,4 +1,8 @@
 const OpenAI = require("openai");
+const {
+  validateLocalGovernmentCode,
+} = require("./local-government-code");
+const { FIELD_TYPES } = require("../validation");
 
 const PROVIDER = process.env.SCHEMA_AI_PROVIDER || "gpt-4o-mini";
 const ENABLE_STRICT_ESCALATION =
@@ -10,19 +14,34 @@ const GIF_FIELD_MAPPINGS = {
     fieldKey: "localGovernmentCode",
     pattern: "^[0-9]{6}$",
     type: "string",
+    format: "localGovernmentCode",
   },
   ID: { fieldKey: "identifier", pattern: "^[A-Za-z0-9_-]+$", type: "string" },
   名称: { fieldKey: "name", type: "string" },
   名称_英語: { fieldKey: "nameEn", type: "string" },
-  住所: { fieldKey: "address", type: "string" },
+  住所: {
+    fieldKey: "address",
+    type: "string",
+    format: "japaneseAddress",
+    normalize: ["address"],
+  },
   郵便番号: { fieldKey: "postalCode", pattern: "^[0-9]{7}$", type: "string" },
   電話番号: { fieldKey: "phoneNumber", type: "string" },
   緯度: { fieldKey: "latitude", type: "latitude" },
   経度: { fieldKey: "longitude", type: "longitude" },
   備考: { fieldKey: "note", type: "string" },
   データセット_最終更新日: { fieldKey: "datasetUpdatedAt", type: "date" },
+  URL: { fieldKey: "url", type: "url" },
+  メールアドレス: { fieldKey: "email", type: "email" },
+  開始時間: { fieldKey: "openingTime", type: "time" },
+  終了時間: { fieldKey: "closingTime", type: "time" },
 };
 
+// Separators seen in multi-valued cells (library、park / library;park).
+const LIST_SEPARATOR = /[,、，;；|｜]/;
+// Count-like headers (定員, 台数, 収容人数, capacity) suggest integers.
+const COUNT_HEADER = /(数|定員|人員|台|床|capacity|count)/i;
+
 function getOpenAIClient() {
   const apiKey = process.env.OPENAI_API_KEY;
   if (!apiKey) return null;
@@ -39,6 +58,52 @@ function sanitizeFieldKey(header) {
     .replace(/^[0-9]/, "_$&") || "field";
 }
 
+function isDateTimeLike(value) {
+  if (typeof value !== "string") return false;
+  return /^\d{4}[-/]\d{1,2}[-/]\d{1,2}[T\s]\d{1,2}:\d{2}/.test(value.trim());
+}
+
+function isTimeLike(value) {
+  return typeof value === "string" && /^\d{1,2}:\d{2}$/.test(value.trim());
+}
+
+function isTimeRangeLike(value) {
+  return (
+    typeof value === "string" &&
+    /^\d{1,2}:\d{2}\s*[-~〜～]\s*\d{1,2}:\d{2}$/.test(value.trim())
+  );
+}
+
+function isUrl(value) {
+  return typeof value === "string" && /^https?:\/\/\S+$/i.test(value.trim());
+}
+
+function isEmail(value) {
+  return (
+    typeof value === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim())
+  );
+}
+
+function isInteger(value) {
+  return Number.isInteger(Number(value)) && String(value).trim() !== "";
+}
+
+// Distinct options of a multi-valued column, or null when the cells do not
+// look like short lists drawn from a small vocabulary.
+function listOptions(values) {
+  const strings = values.filter((v) => typeof v === "string");
+  if (strings.length !== values.length) return null;
+  if (!strings.some((v) => LIST_SEPARATOR.test(v))) return null;
+  const parts = strings.flatMap((v) =>
+    v.split(LIST_SEPARATOR).map((part) => part.trim()).filter(Boolean)
+  );
+  const options = [...new Set(parts)];
+  const short = options.every((option) => option.length <= 30);
+  return short && options.length <= 20 && options.length < parts.length
+    ? options
+    : null;
+}
+
 function isDateLike(value) {
   if (typeof value !== "string") return false;
   return /^\d{4}[-/]\d{2}[-/]\d{2}$/.test(value);
@@ -85,17 +150,26 @@ function inferType(values, header) {
   }
 
   // Check values
-  if (nonEmpty.every((v) => typeof v === "number")) return "number";
-  if (nonEmpty.every((v) => !isNaN(Number(v)) && String(v).trim() !== "")) {
-    // All numeric strings
+  const numeric = nonEmpty.every(
+    (v) => typeof v === "number" || (!isNaN(Number(v)) && String(v).trim() !== "")
+  );
+  if (numeric) {
     if (isLatitude(nonEmpty) && headerLower.includes("lat")) return "latitude";
     if (isLongitude(nonEmpty) && headerLower.includes("lon"))
       return "longitude";
+    if (nonEmpty.every(isInteger) && COUNT_HEADER.test(header)) return "integer";
     return "number";
   }
+  if (nonEmpty.every(isUrl)) return "url";
+  if (nonEmpty.every(isEmail)) return "email";
+  if (nonEmpty.every(isDateTimeLike)) return "datetime";
+  if (nonEmpty.every(isTimeRangeLike)) return "timeRange";
+  if (nonEmpty.every(isTimeLike)) return "time";
   if (nonEmpty.every(isDateLike)) return "date";
   if (nonEmpty.every(isBoolean)) return "boolean";
 
+  if (listOptions(nonEmpty)) return "multiControlledVocabulary";
+
   // Check for controlled vocabulary (few distinct values)
   const distinct = [...new Set(nonEmpty)];
   if (distinct.length <= 10 && distinct.length < nonEmpty.length * 0.5) {
@@ -105,6 +179,32 @@ function inferType(values, header) {
   return "string";
 }
 
+function isLocalGovernmentCodeHeader(header) {
+  return (
+    GIF_FIELD_MAPPINGS[header]?.format === "localGovernmentCode" ||
+    /(団体|自治体)コード/.test(header)
+  );
+}
+
+// Check-digit report for 全国地方公共団体コード columns, so bad codes in the
+// source spreadsheet show up before a template is even confirmed.
+function checkLocalGovernmentCodes(values) {
+  const results = values
+    .filter((v) => v !== "")
+    .map((v) => validateLocalGovernmentCode(v));
+  return {
+    validCount: results.filter((r) => r.ok).length,
+    invalid: results
+      .filter((r) => !r.ok)
+      .map((r) => ({ value: r.code, expected: r.expected, errors: r.errors })),
+    municipalities: [
+      ...new Set(
+        results.filter((r) => r.municipality).map((r) => r.municipality.fullName)
+      ),
+    ],
+  };
+}
+
 function analyzeColumns(headers, dataRows) {
   return headers.map((header, colIndex) => {
     const values = dataRows.map((row) => row[colIndex]).filter((v) => v != null);
@@ -112,6 +212,9 @@ function analyzeColumns(headers, dataRows) {
     const distinctValues = [...new Set(values)];
 
     const gifMatch = GIF_FIELD_MAPPINGS[header];
+    const localGovernmentCodeCheck = isLocalGovernmentCodeHeader(header)
+      ? checkLocalGovernmentCodes(values)
+      : undefined;
 
     return {
       header,
@@ -120,9 +223,14 @@ function analyzeColumns(headers, dataRows) {
       inferredType,
       distinctCount: distinctValues.length,
       distinctValues:
-        inferredType === "controlledVocabulary" ? distinctValues : undefined,
+        inferredType === "controlledVocabulary"
+          ? distinctValues
+          : inferredType === "multiControlledVocabulary"
+            ? listOptions(values)
+            : undefined,
       hasNulls: values.length < dataRows.length,
       gifMatch,
+      localGovernmentCodeCheck,
     };
   });
 }
@@ -142,7 +250,7 @@ The schema must follow this exact JSON format:
       "fieldKey": "camelCaseFieldKey",
       "label": "Display Label (日本語 or English)",
       "description": "Field description",
-      "type": "string|number|date|controlledVocabulary|latitude|longitude|boolean",
+      "type": "${FIELD_TYPES.join("|")}",
       "required": true|false,
       "pattern": "optional regex pattern as string without delimiters",
       "mandatoryMark": "◎"
@@ -152,33 +260,40 @@ The schema must follow this exact JSON format:
 
 Field type mapping rules:
 - Text/String columns → "string"
-- Numeric columns (integers, decimals) → "number"
+- Numeric columns (decimals) → "number"; counts such as 定員/台数 → "integer" (optional "min"/"max")
 - Date columns (YYYY-MM-DD, etc.) → "date"
+- Date and time columns → "datetime" (ISO 8601 with offset)
+- Time columns (HH:MM) → "time"; opening hours like 09:00-18:00 → "timeRange"
+- Web addresses → "url"; e-mail addresses → "email"
 - Columns with limited distinct values (< 10) → "controlledVocabulary" with "options" array
+- Cells listing several values (e.g. "図書館、公園") → "multiControlledVocabulary" with "options"
 - Latitude/緯度 columns → "latitude"
 - Longitude/経度 columns → "longitude"
 - Yes/No, True/False columns → "boolean"
 
 Japanese GIF standard fields to recognize:
-- 全国地方公共団体コード → fieldKey: "localGovernmentCode", pattern: "^[0-9]{6}$"
+- 全国地方公共団体コード → fieldKey: "localGovernmentCode", pattern: "^[0-9]{6}$", format: "localGovernmentCode" (check digit verified)
 - 緯度 → type: "latitude"
 - 経度 → type: "longitude"
 - ID/識別子 → pattern: "^[A-Za-z0-9_-]+$"
+- 住所 → format: "japaneseAddress", normalize: ["address"] (split and checked against 全国地方公共団体コード)
 - 郵便番号 → pattern: "^[0-9]{7}$"
 
 IMPORTANT:
 - Return ONLY valid JSON, no markdown code blocks
 - Preserve Japanese column names in labels
 - Mark fields as required: true if they appear to be mandatory
-- For controlledVocabulary, include an "options" array with the distinct values`;
+- For controlledVocabulary and multiControlledVocabulary, include an "options" array with the distinct values`;
 }
 
 function buildUserPrompt(analysis) {
-  const { filename, headers, sampleData, columns } = analysis;
+  const { filename, headers, sampleData, columns, preamble = [] } = analysis;
 
   const columnSummary = columns
     .map((col) => {
       let summary = `- ${col.header}: inferred type "${col.inferredType}"`;
+      if (col.englishHeader) summary += ` (English header "${col.englishHeader}")`;
+      if (col.group) summary += ` (under merged header "${col.group}")`;
       if (col.gifMatch) summary += ` (GIF standard field)`;
       if (col.distinctValues)
         summary += `, options: [${col.distinctValues.slice(0, 5).join(", ")}${col.distinctValues.length > 5 ? "..." : ""}]`;
@@ -188,10 +303,16 @@ function buildUserPrompt(analysis) {
     })
     .join("\n");
 
+  // Title and note rows above the header often name the dataset.
+  const preambleSummary =
+    preamble.length > 0
+      ? `\nTitle and notes above the table:\n${preamble.map((p) => `- ${p.text}`).join("\n")}\n`
+      : "";
+
   return `Analyze this Excel file structure and generate a schema:
 
 File name: ${filename}
-
+${preambleSummary}
 Columns (${headers.length} total):
 ${columnSummary}
 
@@ -260,15 +381,7 @@ function validateSchema(schema) {
     throw new Error("Schema must have at least one field");
   }
 
-  const validTypes = [
-    "string",
-    "number",
-    "date",
-    "boolean",
-    "latitude",
-    "longitude",
-    "controlledVocabulary",
-  ];
+  const validTypes = FIELD_TYPES;
 
   // Validate and fix fields
   const seenKeys = new Set();
@@ -318,7 +431,8 @@ function generateRuleBasedSchema(analysis) {
   const fields = columns.map((col) => {
     const gifMatch = col.gifMatch;
     const field = {
-      fieldKey: gifMatch?.fieldKey || sanitizeFieldKey(col.header),
+      fieldKey:
+        gifMatch?.fieldKey || sanitizeFieldKey(col.englishHeader || col.header),
       label: col.header,
       description: `Auto-detected from column "${col.header}"`,
       type: col.inferredType,
@@ -329,10 +443,28 @@ function generateRuleBasedSchema(analysis) {
       field.pattern = gifMatch.pattern;
     }
 
-    if (col.inferredType === "controlledVocabulary" && col.distinctValues) {
+    if (gifMatch?.format || col.localGovernmentCodeCheck) {
+      field.format = gifMatch?.format || "localGovernmentCode";
+    }
+
+    if (
+      ["controlledVocabulary", "multiControlledVocabulary"].includes(
+        col.inferredType
+      ) &&
+      col.distinctValues
+    ) {
       field.options = col.distinctValues;
     }
 
+    // Let pasted 9:00～18:00, 2024/5/1 9:00 or "a、b" through validation.
+    const normalize = {
+      time: ["time"],
+      timeRange: ["time"],
+      datetime: ["datetime"],
+      multiControlledVocabulary: ["list"],
+    }[col.inferredType] || gifMatch?.normalize;
+    if (normalize) field.normalize = normalize;
+
     return field;
   });
 
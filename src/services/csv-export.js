@@ -0,0 +1,49 @@
+const cptable = require("xlsx/dist/cpexcel.js");
+
+const SHIFT_JIS_CODEPAGE = 932; // Windows-31J, what Japanese Excel writes
+const ENCODINGS = ["utf-8", "utf-8-bom", "shift_jis"];
+const HEADER_STYLES = ["label", "fieldKey"];
+
+// RFC 4180: quote when a value contains a delimiter, quote or line break
+// (e.g. multi-line 備考), doubling embedded quotes.
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return "";
+  // multiControlledVocabulary values; the importer splits on commas again.
+  const text = Array.isArray(value) ? value.join(",") : String(value);
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Render items as a 標準データセット CSV: one column per template field in
+ * template order, headed by the Japanese `label` (default) or `fieldKey`.
+ */
+function toCsv(template, items, { header = "label" } = {}) {
+  const fields = template.fields;
+  const lines = [
+    fields.map((f) => escapeCsvValue(header === "fieldKey" ? f.fieldKey : f.label)),
+    ...items.map((item) => fields.map((f) => escapeCsvValue(item[f.fieldKey]))),
+  ];
+  // CRLF line endings, as Excel and the RFC expect.
+  return lines.map((cells) => cells.join(",")).join("\r\n") + "\r\n";
+}
+
+function encodeCsv(text, encoding = "utf-8") {
+  if (encoding === "shift_jis") {
+    return Buffer.from(cptable.utils.encode(SHIFT_JIS_CODEPAGE, text));
+  }
+  if (encoding === "utf-8-bom") {
+    return Buffer.from(`﻿${text}`, "utf8");
+  }
+  return Buffer.from(text, "utf8");
+}
+
+module.exports = {
+  ENCODINGS,
+  HEADER_STYLES,
+  escapeCsvValue,
+  toCsv,
+  encodeCsv,
+};
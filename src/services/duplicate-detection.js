@@ -0,0 +1,148 @@
+const { haversineDistance } = require("./spatial-index");
+
+// Near-duplicate items: the same place entered twice, e.g. an AED listed by
+// two departments as "市役所 本庁舎1階" and "市役所本庁舎 １Ｆ". Candidates lie
+// within `radius` meters and their normalized names have a similarity
+// (Dice coefficient over character bigrams) of at least `minSimilarity`.
+const DEFAULT_RADIUS = Number(process.env.DUPLICATE_RADIUS_METERS) || 50;
+const DEFAULT_MIN_SIMILARITY =
+  Number(process.env.DUPLICATE_MIN_SIMILARITY) || 0.8;
+const MAX_RADIUS = 5000;
+const ON_DUPLICATE = ["flag", "reject"];
+const NAME_FIELD = "name";
+
+// Share of the score that comes from the name; the rest is proximity.
+const NAME_WEIGHT = 0.7;
+
+/**
+ * Parse `duplicateRadius`, `minSimilarity` and `onDuplicate` (flag |
+ * reject) from a query string or form body.
+ */
+function parseDuplicateOptions(source = {}) {
+  const errors = [];
+  const radius =
+    source.duplicateRadius === undefined
+      ? DEFAULT_RADIUS
+      : Number(source.duplicateRadius);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS) {
+    errors.push(`duplicateRadius: must be a number of meters up to ${MAX_RADIUS}`);
+  }
+  const minSimilarity =
+    source.minSimilarity === undefined
+      ? DEFAULT_MIN_SIMILARITY
+      : Number(source.minSimilarity);
+  if (!Number.isFinite(minSimilarity) || minSimilarity < 0 || minSimilarity > 1) {
+    errors.push("minSimilarity: must be between 0 and 1");
+  }
+  const onDuplicate = source.onDuplicate || "flag";
+  if (!ON_DUPLICATE.includes(onDuplicate)) {
+    errors.push(`onDuplicate: must be one of ${ON_DUPLICATE.join(", ")}`);
+  }
+  return errors.length > 0
+    ? { ok: false, errors }
+    : { ok: true, value: { radius, minSimilarity, onDuplicate } };
+}
+
+// NFKC, lower case, katakana as hiragana, no spaces or punctuation.
+function normalizeName(name) {
+  return String(name)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0x60))
+    .replace(/[\s・･ー\-_.,、。()（）「」『』［］【】[\]/]/g, "");
+}
+
+function bigrams(text) {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/** 0..1 similarity of two names after normalizeName. */
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let shared = 0;
+  leftGrams.forEach((count, gram) => {
+    shared += Math.min(count, rightGrams.get(gram) || 0);
+  });
+  return (2 * shared) / (left.length - 1 + (right.length - 1));
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Earlier import rows ({ row, value }) within `radius` of `value`, in the
+ * { item, distance, row } shape rankDuplicates takes.
+ */
+function neighboursAmong(value, rows, radius) {
+  if (!Number.isFinite(value.latitude) || !Number.isFinite(value.longitude)) {
+    return [];
+  }
+  return rows
+    .filter(
+      (r) => Number.isFinite(r.value.latitude) && Number.isFinite(r.value.longitude)
+    )
+    .map((r) => ({
+      item: r.value,
+      row: r.row,
+      distance: haversineDistance(
+        value.latitude,
+        value.longitude,
+        r.value.latitude,
+        r.value.longitude
+      ),
+    }))
+    .filter((n) => n.distance <= radius);
+}
+
+/**
+ * Score `neighbours` ([{ item, distance, row? }] within `radius`) as
+ * duplicates of `value`. Returns candidates with `nameSimilarity` at or
+ * above `minSimilarity`, best first: { itemId | row, identifier, name,
+ * distance, nameSimilarity, score }. Templates without a `name` field
+ * never report duplicates.
+ */
+function rankDuplicates(template, value, neighbours, { radius, minSimilarity }) {
+  const hasName = template.fields.some((f) => f.fieldKey === NAME_FIELD);
+  if (!hasName || !value[NAME_FIELD]) return [];
+
+  return neighbours
+    .filter(({ item }) => item[NAME_FIELD])
+    .map(({ item, distance, row }) => {
+      const similarity = nameSimilarity(value[NAME_FIELD], item[NAME_FIELD]);
+      const proximity = radius > 0 ? 1 - distance / radius : 1;
+      return {
+        ...(row !== undefined ? { row } : { itemId: item.id }),
+        identifier: item.identifier,
+        name: item[NAME_FIELD],
+        distance: round(distance, 1),
+        nameSimilarity: round(similarity, 3),
+        score: round(NAME_WEIGHT * similarity + (1 - NAME_WEIGHT) * proximity, 3),
+      };
+    })
+    .filter((candidate) => candidate.nameSimilarity >= minSimilarity)
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  DEFAULT_RADIUS,
+  DEFAULT_MIN_SIMILARITY,
+  NAME_FIELD,
+  parseDuplicateOptions,
+  normalizeName,
+  nameSimilarity,
+  neighboursAmong,
+  rankDuplicates,
+};
@@ -0,0 +1,110 @@
+const fs = require("fs");
+const path = require("path");
+const { validationError } = require("../validation-errors");
+
+// Shared field groups (GIF core identity, location, contact, ...), one JSON
+// file per group under src/data/field-groups. A template's `fields` may mix
+// plain fields with references to a group:
+//
+//   { "include": "location", "omit": ["postalCode"],
+//     "override": { "address": { "fillPostalCode": null } } }
+//
+// `only` / `omit` pick group fields by fieldKey (group order is kept) and
+// `override` merges keys into a group field, null removing one. Templates
+// store the references and are resolved whenever they are read, so a fix
+// to a group reaches every template that includes it.
+const GROUP_DIR = path.join(__dirname, "../data/field-groups");
+
+function loadFieldGroups() {
+  return fs
+    .readdirSync(GROUP_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => {
+      const group = JSON.parse(
+        fs.readFileSync(path.join(GROUP_DIR, file), "utf8")
+      );
+      group.fields.forEach((field) => {
+        if (field.pattern) field.pattern = new RegExp(field.pattern);
+      });
+      return group;
+    });
+}
+
+const fieldGroups = loadFieldGroups();
+
+function getFieldGroups() {
+  return fieldGroups;
+}
+
+function getFieldGroup(id) {
+  return fieldGroups.find((group) => group.id === id) || null;
+}
+
+function isGroupReference(entry) {
+  return Boolean(entry) && entry.include !== undefined;
+}
+
+function usesFieldGroups(fields = []) {
+  return fields.some(isGroupReference);
+}
+
+function applyOverride(field, override = {}) {
+  const result = { ...field };
+  Object.entries(override).forEach(([key, value]) => {
+    if (value === null) delete result[key];
+    else result[key] = value;
+  });
+  return result;
+}
+
+function expandReference(reference, errors) {
+  const group = getFieldGroup(reference.include);
+  if (!group) {
+    errors.push(validationError("unknownFieldGroup", { value: reference.include }));
+    return [];
+  }
+  const only = reference.only;
+  const omit = reference.omit || [];
+  const override = reference.override || {};
+  const keys = group.fields.map((f) => f.fieldKey);
+  [...(only || []), ...omit, ...Object.keys(override)]
+    .filter((key) => !keys.includes(key))
+    .forEach((key) =>
+      errors.push(
+        validationError("unknownGroupField", { value: key, group: group.id })
+      )
+    );
+  return group.fields
+    .filter((f) => !only || only.includes(f.fieldKey))
+    .filter((f) => !omit.includes(f.fieldKey))
+    .map((f) => applyOverride(f, override[f.fieldKey]));
+}
+
+/**
+ * Expand the group references in `fields`. Returns { fields, errors }; the
+ * fields are usable even with errors (unknown groups and keys are skipped),
+ * so a stored template keeps working after a group loses a field.
+ */
+function resolveFields(fields = []) {
+  const errors = [];
+  const resolved = fields.flatMap((entry) =>
+    isGroupReference(entry) ? expandReference(entry, errors) : [entry]
+  );
+  const seen = new Set();
+  resolved.forEach(({ fieldKey }) => {
+    if (seen.has(fieldKey)) {
+      errors.push(validationError("duplicateFieldKey", { fieldKey }));
+    }
+    seen.add(fieldKey);
+  });
+  return { fields: resolved, errors };
+}
+
+module.exports = {
+  getFieldGroups,
+  getFieldGroup,
+  isGroupReference,
+  usesFieldGroups,
+  resolveFields,
+};
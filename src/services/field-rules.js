@@ -0,0 +1,343 @@
+const { z } = require("zod");
+
+// Declarative cross-field rules on template fields. Everything here is
+// plain JSON, so clients reading /v1/models/:id/schema can evaluate the
+// same rules before submitting:
+//
+//   requiredWhen: Condition        value needed when the condition holds
+//   exclusiveWith: [fieldKey]      at most one of these fields has a value
+//   compare: [{ operator, field | value, when?, message? }]
+//   patternWhen: [{ pattern, when, message? }]
+//
+// A Condition is { field, equals | notEquals | in | present | matches },
+// { datasetFlag } (a flag set on the model, e.g. "tourism") or
+// { all: [...] }, { any: [...] }, { not: Condition }. A field condition
+// without an operator means `present: true`.
+
+const OPERATORS = ["lt", "lte", "gt", "gte", "eq", "ne"];
+
+function isValidRegex(source) {
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Regex sources (`matches`, `patternWhen.pattern`) stay strings so the
+// rules remain plain JSON; they are refused when a template is saved if
+// they do not compile.
+const regexSourceSchema = z.string().refine(isValidRegex, {
+  message: "Not a valid regular expression",
+  params: { code: "invalidRegex" },
+});
+
+// Compiled once per source. A source stored before it was checked yields
+// null, and the rule using it is skipped.
+const compiledPatterns = new Map();
+
+function compilePattern(source) {
+  if (!compiledPatterns.has(source)) {
+    compiledPatterns.set(source, isValidRegex(source) ? new RegExp(source) : null);
+  }
+  return compiledPatterns.get(source);
+}
+
+const conditionSchema = z.lazy(() =>
+  z.union([
+    z.object({ all: z.array(conditionSchema).min(1) }).strict(),
+    z.object({ any: z.array(conditionSchema).min(1) }).strict(),
+    z.object({ not: conditionSchema }).strict(),
+    z.object({ datasetFlag: z.string().min(1) }).strict(),
+    z
+      .object({
+        field: z.string().min(1),
+        equals: z.any().optional(),
+        notEquals: z.any().optional(),
+        in: z.array(z.any()).optional(),
+        present: z.boolean().optional(),
+        matches: regexSourceSchema.optional(),
+      })
+      .strict(),
+  ])
+);
+
+const messageSchema = z.object({ ja: z.string(), en: z.string() });
+
+const fieldRuleShape = {
+  requiredWhen: conditionSchema.optional(),
+  exclusiveWith: z.array(z.string().min(1)).min(1).optional(),
+  compare: z
+    .array(
+      z
+        .object({
+          operator: z.enum(OPERATORS),
+          field: z.string().min(1).optional(),
+          value: z.union([z.string(), z.number()]).optional(),
+          when: conditionSchema.optional(),
+          message: messageSchema.optional(),
+        })
+        .refine((c) => (c.field === undefined) !== (c.value === undefined), {
+          message: "compare needs exactly one of field or value",
+        })
+    )
+    .optional(),
+  patternWhen: z
+    .array(
+      z.object({
+        pattern: regexSourceSchema.pipe(z.string().min(1)),
+        when: conditionSchema,
+        message: messageSchema.optional(),
+      })
+    )
+    .optional(),
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function evaluateCondition(condition, data, datasetFlags = []) {
+  if (condition.all) {
+    return condition.all.every((c) => evaluateCondition(c, data, datasetFlags));
+  }
+  if (condition.any) {
+    return condition.any.some((c) => evaluateCondition(c, data, datasetFlags));
+  }
+  if (condition.not) return !evaluateCondition(condition.not, data, datasetFlags);
+  if (condition.datasetFlag) return datasetFlags.includes(condition.datasetFlag);
+
+  const value = data[condition.field];
+  if ("equals" in condition) return value === condition.equals;
+  if ("notEquals" in condition) return !isEmpty(value) && value !== condition.notEquals;
+  if (condition.in) return condition.in.includes(value);
+  if (condition.matches !== undefined) {
+    const regex = compilePattern(condition.matches);
+    return !isEmpty(value) && regex !== null && regex.test(String(value));
+  }
+  return condition.present === false ? isEmpty(value) : !isEmpty(value);
+}
+
+function quoteList(values, lang) {
+  return lang === "ja"
+    ? values.map((v) => `「${v}」`).join("")
+    : values.map((v) => `"${v}"`).join(", ");
+}
+
+/** Human-readable condition for error messages; `labelOf` maps fieldKeys. */
+function describeCondition(condition, lang, labelOf = (key) => key) {
+  const ja = lang === "ja";
+  const describe = (c) => describeCondition(c, lang, labelOf);
+  if (condition.all) return condition.all.map(describe).join(ja ? "かつ" : " and ");
+  if (condition.any) return condition.any.map(describe).join(ja ? "または" : " or ");
+  if (condition.not) {
+    const inner = describe(condition.not);
+    return ja ? `「${inner}」でない` : `not (${inner})`;
+  }
+  if (condition.datasetFlag) {
+    return ja
+      ? `データセットが「${condition.datasetFlag}」指定`
+      : `the dataset is flagged "${condition.datasetFlag}"`;
+  }
+
+  const name = ja ? labelOf(condition.field) : condition.field;
+  if ("equals" in condition) {
+    return ja ? `${name}が「${condition.equals}」` : `${name} is "${condition.equals}"`;
+  }
+  if ("notEquals" in condition) {
+    return ja
+      ? `${name}が「${condition.notEquals}」以外`
+      : `${name} is not "${condition.notEquals}"`;
+  }
+  if (condition.in) {
+    return ja
+      ? `${name}が${quoteList(condition.in, lang)}のいずれか`
+      : `${name} is one of ${quoteList(condition.in, lang)}`;
+  }
+  if (condition.matches !== undefined) {
+    return ja
+      ? `${name}が /${condition.matches}/ に一致`
+      : `${name} matches /${condition.matches}/`;
+  }
+  if (condition.present === false) return ja ? `${name}が未入力` : `${name} is empty`;
+  return ja ? `${name}が入力済み` : `${name} is set`;
+}
+
+function compareValues(left, operator, right) {
+  const numeric = typeof left === "number" && typeof right === "number";
+  const a = numeric ? left : String(left);
+  const b = numeric ? right : String(right);
+  switch (operator) {
+    case "lt":
+      return a < b;
+    case "lte":
+      return a <= b;
+    case "gt":
+      return a > b;
+    case "gte":
+      return a >= b;
+    case "eq":
+      return a === b;
+    default:
+      return a !== b;
+  }
+}
+
+/**
+ * Evaluate every field rule of a template against parsed item data.
+ * `template.datasetFlags` feeds { datasetFlag } conditions. Returns
+ * violations as { fieldKey, code, params } for validation-errors.js.
+ */
+function checkFieldRules(template, data) {
+  const flags = template.datasetFlags || [];
+  const labels = Object.fromEntries(
+    template.fields.map((f) => [f.fieldKey, f.label])
+  );
+  const labelOf = (key) => labels[key] || key;
+  const holds = (condition) =>
+    !condition || evaluateCondition(condition, data, flags);
+  const describe = (condition) => ({
+    ja: describeCondition(condition, "ja", labelOf),
+    en: describeCondition(condition, "en", labelOf),
+  });
+  const violations = [];
+
+  template.fields.forEach((field) => {
+    const key = field.fieldKey;
+    const value = data[key];
+
+    if (field.requiredWhen && isEmpty(value) && holds(field.requiredWhen)) {
+      violations.push({
+        fieldKey: key,
+        code: "requiredWhen",
+        params: { condition: describe(field.requiredWhen) },
+      });
+    }
+
+    const clashes = (field.exclusiveWith || []).filter(
+      (other) => !isEmpty(value) && !isEmpty(data[other])
+    );
+    if (clashes.length > 0) {
+      violations.push({
+        fieldKey: key,
+        code: "mutuallyExclusive",
+        params: { others: clashes, otherLabels: clashes.map(labelOf) },
+      });
+    }
+
+    (field.compare || []).forEach((rule) => {
+      const other = rule.field !== undefined ? data[rule.field] : rule.value;
+      if (isEmpty(value) || isEmpty(other) || !holds(rule.when)) return;
+      if (compareValues(value, rule.operator, other)) return;
+      violations.push({
+        fieldKey: key,
+        code: "comparison",
+        params: {
+          operator: rule.operator,
+          other: rule.field !== undefined ? rule.field : rule.value,
+          otherLabel:
+            rule.field !== undefined ? labelOf(rule.field) : `「${rule.value}」`,
+          customMessage: rule.message,
+        },
+      });
+    });
+
+    (field.patternWhen || []).forEach((rule) => {
+      const regex = compilePattern(rule.pattern);
+      if (isEmpty(value) || regex === null || !holds(rule.when)) return;
+      if (regex.test(String(value))) return;
+      violations.push({
+        fieldKey: key,
+        code: "conditionalPattern",
+        params: { condition: describe(rule.when), customMessage: rule.message },
+      });
+    });
+  });
+
+  return violations;
+}
+
+function conditionFields(condition) {
+  if (!condition) return [];
+  if (condition.all || condition.any) {
+    return (condition.all || condition.any).flatMap(conditionFields);
+  }
+  if (condition.not) return conditionFields(condition.not);
+  return condition.field ? [condition.field] : [];
+}
+
+/** fieldKeys a field's rules (and fillPostalCode) point at, besides itself. */
+function referencedFields(field) {
+  return [
+    ...(field.fillPostalCode ? [field.fillPostalCode] : []),
+    ...conditionFields(field.requiredWhen),
+    ...(field.exclusiveWith || []),
+    ...(field.compare || []).flatMap((rule) => [
+      ...(rule.field !== undefined ? [rule.field] : []),
+      ...conditionFields(rule.when),
+    ]),
+    ...(field.patternWhen || []).flatMap((rule) => conditionFields(rule.when)),
+  ].filter((key) => key !== field.fieldKey);
+}
+
+/** Rule references to fields missing from `fields`: [{ fieldKey, reference }]. */
+function unknownRuleReferences(fields) {
+  const keys = new Set(fields.map((f) => f.fieldKey));
+  return fields.flatMap((field) =>
+    [...new Set(referencedFields(field))]
+      .filter((key) => !keys.has(key))
+      .map((reference) => ({ fieldKey: field.fieldKey, reference }))
+  );
+}
+
+function renameInCondition(condition, from, to) {
+  const rename = (c) => renameInCondition(c, from, to);
+  if (!condition) return condition;
+  if (condition.all) return { all: condition.all.map(rename) };
+  if (condition.any) return { any: condition.any.map(rename) };
+  if (condition.not) return { not: rename(condition.not) };
+  return condition.field === from ? { ...condition, field: to } : condition;
+}
+
+/** Copy of `field` with rule references to `from` pointing at `to`. */
+function renameFieldReferences(field, from, to) {
+  const next = { ...field };
+  if (field.fillPostalCode === from) next.fillPostalCode = to;
+  if (field.requiredWhen) {
+    next.requiredWhen = renameInCondition(field.requiredWhen, from, to);
+  }
+  if (field.exclusiveWith) {
+    next.exclusiveWith = field.exclusiveWith.map((key) =>
+      key === from ? to : key
+    );
+  }
+  if (field.compare) {
+    next.compare = field.compare.map((rule) => ({
+      ...rule,
+      ...(rule.field === from ? { field: to } : {}),
+      ...(rule.when ? { when: renameInCondition(rule.when, from, to) } : {}),
+    }));
+  }
+  if (field.patternWhen) {
+    next.patternWhen = field.patternWhen.map((rule) => ({
+      ...rule,
+      when: renameInCondition(rule.when, from, to),
+    }));
+  }
+  return next;
+}
+
+module.exports = {
+  OPERATORS,
+  isValidRegex,
+  regexSourceSchema,
+  conditionSchema,
+  fieldRuleShape,
+  evaluateCondition,
+  describeCondition,
+  checkFieldRules,
+  referencedFields,
+  unknownRuleReferences,
+  renameFieldReferences,
+};
@@ -0,0 +1,117 @@
+// GeoJSON (RFC 7946) and KML renderings of model items for GIS tools.
+// Coordinates are always [longitude, latitude], as in buildGeoProperty.
+const COORDINATE_KEYS = ["latitude", "longitude"];
+
+function hasLocation(item) {
+  return Number.isFinite(item.latitude) && Number.isFinite(item.longitude);
+}
+
+// Controlled vocabulary fields may carry `optionLabels` (value -> 日本語);
+// with `labels` on, exports show those instead of the stored code.
+function displayValue(field, value, labels) {
+  if (!labels || value === undefined) return value;
+  if (field.type === "controlledVocabulary" && field.optionLabels) {
+    return field.optionLabels[value] || value;
+  }
+  if (field.type === "multiControlledVocabulary" && field.optionLabels) {
+    return value.map((option) => field.optionLabels[option] || option);
+  }
+  return value;
+}
+
+function propertyFields(template) {
+  return template.fields.filter((f) => !COORDINATE_KEYS.includes(f.fieldKey));
+}
+
+function toGeoJson(template, items, { labels = false } = {}) {
+  const fields = propertyFields(template);
+
+  const features = items.map((item) => {
+    const properties = {};
+    fields.forEach((field) => {
+      const value = displayValue(field, item[field.fieldKey], labels);
+      if (value !== undefined) properties[field.fieldKey] = value;
+    });
+
+    return {
+      type: "Feature",
+      id: item.id,
+      geometry: hasLocation(item)
+        ? { type: "Point", coordinates: [item.longitude, item.latitude] }
+        : null,
+      properties,
+    };
+  });
+
+  const located = items.filter(hasLocation);
+  const collection = { type: "FeatureCollection", features };
+  if (located.length > 0) {
+    const lons = located.map((i) => i.longitude);
+    const lats = located.map((i) => i.latitude);
+    collection.bbox = [
+      Math.min(...lons),
+      Math.min(...lats),
+      Math.max(...lons),
+      Math.max(...lats),
+    ];
+  }
+  return collection;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * KML 2.2 document with one Placemark per located item; the other fields
+ * go to ExtendedData with the Japanese label as displayName.
+ */
+function toKml(template, items, { labels = false, title } = {}) {
+  const fields = propertyFields(template);
+
+  const placemarks = items.filter(hasLocation).map((item) => {
+    const data = fields
+      .filter((field) => item[field.fieldKey] !== undefined)
+      .map((field) => {
+        const value = displayValue(field, item[field.fieldKey], labels);
+        return [
+          `        <Data name="${escapeXml(field.fieldKey)}">`,
+          `          <displayName>${escapeXml(field.label)}</displayName>`,
+          `          <value>${escapeXml(value)}</value>`,
+          "        </Data>",
+        ].join("\n");
+      });
+
+    return [
+      `    <Placemark id="${escapeXml(item.id)}">`,
+      `      <name>${escapeXml(item.name || item.identifier || item.id)}</name>`,
+      "      <ExtendedData>",
+      ...data,
+      "      </ExtendedData>",
+      `      <Point><coordinates>${item.longitude},${item.latitude}</coordinates></Point>`,
+      "    </Placemark>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(title || template.label || template.id)}</name>`,
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  displayValue,
+  toGeoJson,
+  toKml,
+};
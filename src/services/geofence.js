@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+
+// Japan's extent with a small margin: 与那国島 (122.93°E), 南鳥島
+// (153.98°E), 沖ノ鳥島 (20.42°N) and 弁天島 (45.56°N).
+const JAPAN_BBOX = [122.5, 20.0, 154.5, 46.0];
+
+const GEOFENCE_LEVELS = ["japan", "municipality"];
+
+// Municipality boundaries are optional: drop a GeoJSON file per code
+// (Feature, FeatureCollection or bare Polygon/MultiPolygon geometry) named
+// `<6-digit code>.geojson` or `<5-digit code>.geojson` (国土数値情報 N03
+// uses the 5-digit form) into MUNICIPALITY_BOUNDARY_DIR. Codes without a
+// file are only checked against the Japan extent.
+const DEFAULT_BOUNDARY_DIR = path.join(__dirname, "../data/boundaries");
+
+const boundaries = new Map();
+
+function boundaryDir() {
+  return process.env.MUNICIPALITY_BOUNDARY_DIR || DEFAULT_BOUNDARY_DIR;
+}
+
+function polygonsOf(geojson) {
+  if (!geojson) return [];
+  switch (geojson.type) {
+    case "FeatureCollection":
+      return geojson.features.flatMap((feature) => polygonsOf(feature));
+    case "Feature":
+      return polygonsOf(geojson.geometry);
+    case "Polygon":
+      return [geojson.coordinates];
+    case "MultiPolygon":
+      return geojson.coordinates;
+    default:
+      return [];
+  }
+}
+
+// Polygons for a code, or null when no boundary file exists. Lookups are
+// cached, misses included.
+function loadBoundary(code) {
+  if (boundaries.has(code)) return boundaries.get(code);
+
+  const candidates = [code, String(code).slice(0, 5)].map((name) =>
+    path.join(boundaryDir(), `${name}.geojson`)
+  );
+  const file = candidates.find((candidate) => fs.existsSync(candidate));
+  const polygons = file
+    ? polygonsOf(JSON.parse(fs.readFileSync(file, "utf8")))
+    : null;
+  boundaries.set(code, polygons);
+  return polygons;
+}
+
+function inBBox([lon, lat], [minLon, minLat, maxLon, maxLat]) {
+  return lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat;
+}
+
+// Ray casting over one ring of [lon, lat] positions.
+function inRing([lon, lat], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = yi > lat !== yj > lat;
+    if (crosses && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// First ring is the outer boundary, the rest are holes.
+function inPolygons(point, polygons) {
+  return polygons.some(
+    ([outer, ...holes]) =>
+      inRing(point, outer) && !holes.some((hole) => inRing(point, hole))
+  );
+}
+
+// Explain a miss when a simple typo would have landed inside the area.
+function typoHint(latitude, longitude, contains) {
+  if (contains([latitude, longitude])) return "swapped";
+  if (contains([-longitude, latitude]) || contains([longitude, -latitude])) {
+    return "signFlipped";
+  }
+  return null;
+}
+
+/**
+ * Check a point against Japan's extent and, at level "municipality", the
+ * boundary of `localGovernmentCode` when one is available locally.
+ * Returns problems as { code: "outsideJapan" | "outsideMunicipality",
+ * hint: "swapped" | "signFlipped" | null, localGovernmentCode? }.
+ */
+function checkGeofence(
+  latitude,
+  longitude,
+  { level = "japan", localGovernmentCode } = {}
+) {
+  const inJapan = (point) => inBBox(point, JAPAN_BBOX);
+  if (!inJapan([longitude, latitude])) {
+    return [
+      { code: "outsideJapan", hint: typoHint(latitude, longitude, inJapan) },
+    ];
+  }
+
+  if (level !== "municipality" || !localGovernmentCode) return [];
+  const polygons = loadBoundary(String(localGovernmentCode));
+  if (!polygons) return [];
+
+  const inMunicipality = (point) => inPolygons(point, polygons);
+  if (inMunicipality([longitude, latitude])) return [];
+
+  return [
+    {
+      code: "outsideMunicipality",
+      hint: typoHint(latitude, longitude, inMunicipality),
+      localGovernmentCode: String(localGovernmentCode),
+    },
+  ];
+}
+
+module.exports = {
+  JAPAN_BBOX,
+  GEOFENCE_LEVELS,
+  checkGeofence,
+};
@@ -0,0 +1,241 @@
+const { validateItem } = require("../validation");
+const { validationError } = require("../validation-errors");
+const {
+  NAME_FIELD,
+  neighboursAmong,
+  rankDuplicates,
+} = require("./duplicate-detection");
+
+const LIST_SEPARATOR = /[,、，;；|｜\n]/;
+const TRUE_VALUES = ["true", "yes", "はい", "有", "あり", "1"];
+const FALSE_VALUES = ["false", "no", "いいえ", "無", "なし", "0"];
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * Map header cells to template fields by 項目名 (Japanese `label`) or by
+ * 項目名英語 (`fieldKey`). Returns column index -> field plus the headers
+ * that matched nothing.
+ */
+function mapColumns(template, headers) {
+  const columns = new Map();
+  const unmappedColumns = [];
+  const seen = new Set();
+
+  headers.forEach((raw, index) => {
+    const header = raw === undefined || raw === null ? "" : String(raw).trim();
+    if (!header) return;
+
+    const field = template.fields.find(
+      (f) => f.label === header || f.fieldKey === header
+    );
+    if (!field || seen.has(field.fieldKey)) {
+      unmappedColumns.push(header);
+      return;
+    }
+    seen.add(field.fieldKey);
+    columns.set(index, field);
+  });
+
+  const missingFields = template.fields
+    .filter((f) => !seen.has(f.fieldKey))
+    .map((f) => f.fieldKey);
+
+  return { columns, unmappedColumns, missingFields };
+}
+
+// Spreadsheet cells arrive as numbers, strings or Dates; turn them into the
+// JSON types the template validator expects. Anything that does not convert
+// is passed through so the validator reports it.
+function coerceCell(field, value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === "string" && value.trim() === "") return undefined;
+
+  if (value instanceof Date) {
+    const date = `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+    const time = `${pad2(value.getHours())}:${pad2(value.getMinutes())}`;
+    // Excel has no time zone; spreadsheet times are taken as JST.
+    if (field.type === "datetime") return `${date}T${time}:00+09:00`;
+    if (field.type === "time") return time;
+    return date;
+  }
+
+  if (field.type === "multiControlledVocabulary") {
+    return String(value)
+      .split(LIST_SEPARATOR)
+      .map((part) => part.trim())
+      .filter((part) => part !== "");
+  }
+
+  if (["number", "integer", "latitude", "longitude"].includes(field.type)) {
+    if (typeof value === "number") return value;
+    const num = Number(String(value).trim());
+    return Number.isFinite(num) ? num : value;
+  }
+
+  if (field.type === "boolean") {
+    if (typeof value === "boolean") return value;
+    const lower = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(lower)) return true;
+    if (FALSE_VALUES.includes(lower)) return false;
+    return value;
+  }
+
+  return String(value).trim();
+}
+
+function rowToCandidate(columns, row) {
+  const candidate = {};
+  columns.forEach((field, index) => {
+    const value = coerceCell(field, row[index]);
+    if (value !== undefined) candidate[field.fieldKey] = value;
+  });
+  return candidate;
+}
+
+function findRowDuplicates(template, value, existing, report, duplicates) {
+  const earlierRows = report.filter((r) => r.value);
+  const neighbours = [
+    ...duplicates.nearby(value, existing ? existing.id : undefined),
+    ...neighboursAmong(value, earlierRows, duplicates.radius),
+  ];
+  return rankDuplicates(template, value, neighbours, duplicates);
+}
+
+function nearDuplicateError(template, value, match) {
+  const field = template.fields.find((f) => f.fieldKey === NAME_FIELD);
+  return validationError("nearDuplicate", {
+    fieldKey: NAME_FIELD,
+    label: field.label,
+    value: value[NAME_FIELD],
+    match,
+  });
+}
+
+/**
+ * Validate every data row of a sheet against the model template and plan
+ * what an import would do, without writing anything.
+ *
+ * `mode` is "insert" (identifier must be new) or "upsert" (existing
+ * identifiers are updated in place). Row numbers match the spreadsheet,
+ * counting the header as row 1.
+ *
+ * With `options.duplicates` ({ radius, minSimilarity, onDuplicate,
+ * nearby(value, ignoreItemId) }) rows get the near-duplicate candidates
+ * among stored items and earlier rows; onDuplicate "reject" fails them.
+ */
+function planImport(template, rows, existingItems, mode = "insert", options = {}) {
+  const [headers = [], ...dataRows] = rows;
+  const { columns, unmappedColumns, missingFields } = mapColumns(
+    template,
+    headers
+  );
+
+  const byIdentifier = new Map(
+    existingItems.map((item) => [item.identifier, item])
+  );
+  const identifierField = {
+    fieldKey: "identifier",
+    label: (template.fields.find((f) => f.fieldKey === "identifier") || {})
+      .label,
+  };
+  const seenInFile = new Map();
+  const report = [];
+
+  dataRows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    if (!row || row.every((cell) => cell === undefined || cell === null || cell === "")) {
+      return;
+    }
+
+    const candidate = rowToCandidate(columns, row);
+    const validation = validateItem(template, candidate);
+    const entry = {
+      row: rowNumber,
+      identifier: validation.ok ? validation.value.identifier : candidate.identifier,
+    };
+    if (validation.normalized.length > 0) {
+      entry.normalized = validation.normalized;
+    }
+
+    if (!validation.ok) {
+      report.push({ ...entry, status: "error", errors: validation.errors });
+      return;
+    }
+
+    const identifier = validation.value.identifier;
+    if (identifier !== undefined && seenInFile.has(identifier)) {
+      report.push({
+        ...entry,
+        status: "error",
+        errors: [
+          validationError("repeatedIdentifier", {
+            ...identifierField,
+            value: identifier,
+            firstRow: seenInFile.get(identifier),
+          }),
+        ],
+      });
+      return;
+    }
+    if (identifier !== undefined) seenInFile.set(identifier, rowNumber);
+
+    const existing =
+      identifier !== undefined ? byIdentifier.get(identifier) : undefined;
+    if (existing && mode !== "upsert") {
+      report.push({
+        ...entry,
+        status: "error",
+        errors: [
+          validationError("duplicateIdentifier", {
+            ...identifierField,
+            value: identifier,
+          }),
+        ],
+      });
+      return;
+    }
+
+    const duplicates = options.duplicates
+      ? findRowDuplicates(template, validation.value, existing, report, options.duplicates)
+      : [];
+    if (duplicates.length > 0 && options.duplicates.onDuplicate === "reject") {
+      report.push({
+        ...entry,
+        status: "error",
+        duplicates,
+        errors: [nearDuplicateError(template, validation.value, duplicates[0])],
+      });
+      return;
+    }
+
+    report.push({
+      ...entry,
+      status: existing ? "update" : "insert",
+      itemId: existing ? existing.id : undefined,
+      ...(duplicates.length > 0 ? { duplicates } : {}),
+      value: validation.value,
+    });
+  });
+
+  const count = (status) => report.filter((r) => r.status === status).length;
+
+  return {
+    mode,
+    totalRows: report.length,
+    inserted: count("insert"),
+    updated: count("update"),
+    failed: count("error"),
+    unmappedColumns,
+    missingFields,
+    rows: report,
+  };
+}
+
+module.exports = {
+  mapColumns,
+  coerceCell,
+  planImport,
+};
@@ -0,0 +1,446 @@
+// Query parameters for GET /v1/models/:id/items. Everything that is not a
+// reserved parameter is treated as a field filter and checked against the
+// model's template so typos surface as 400s instead of empty results.
+const { dateRegex, timeRegex } = require("../validation");
+const { searchSpatial } = require("./spatial-index");
+const { STATUSES, statusOf } = require("../workflow");
+
+const GEO_PARAMS = ["bbox", "near", "radius", "nearest"];
+const RESERVED_PARAMS = [
+  "sort",
+  "limit",
+  "offset",
+  "cursor",
+  "fields",
+  "status",
+  ...GEO_PARAMS,
+];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"];
+// `eq` on a multiControlledVocabulary field means "includes the option".
+const OPERATORS_BY_TYPE = {
+  string: ["eq", "prefix"],
+  url: ["eq", "prefix"],
+  email: ["eq", "prefix"],
+  controlledVocabulary: ["eq"],
+  multiControlledVocabulary: ["eq"],
+  boolean: ["eq"],
+  number: ["eq", ...RANGE_OPERATORS],
+  integer: ["eq", ...RANGE_OPERATORS],
+  latitude: ["eq", ...RANGE_OPERATORS],
+  longitude: ["eq", ...RANGE_OPERATORS],
+  date: ["eq", ...RANGE_OPERATORS],
+  datetime: ["eq", ...RANGE_OPERATORS],
+  time: ["eq", ...RANGE_OPERATORS],
+  timeRange: ["eq"],
+};
+
+function coerceFilterValue(field, raw) {
+  if (typeof raw !== "string") {
+    return { error: `${field.fieldKey}: filter value must be a single string` };
+  }
+
+  if (["number", "integer", "latitude", "longitude"].includes(field.type)) {
+    const value = Number(raw);
+    if (raw.trim() === "" || !Number.isFinite(value)) {
+      return { error: `${field.fieldKey}: filter value must be a number` };
+    }
+    return { value };
+  }
+  if (field.type === "boolean") {
+    if (raw !== "true" && raw !== "false") {
+      return { error: `${field.fieldKey}: filter value must be true or false` };
+    }
+    return { value: raw === "true" };
+  }
+  if (field.type === "date" && !dateRegex.test(raw)) {
+    return { error: `${field.fieldKey}: filter value must be YYYY-MM-DD` };
+  }
+  if (field.type === "time" && !timeRegex.test(raw)) {
+    return { error: `${field.fieldKey}: filter value must be HH:MM` };
+  }
+  if (field.type === "datetime") {
+    // Compared as instants, so offsets in the data do not matter.
+    const time = Date.parse(raw);
+    if (Number.isNaN(time)) {
+      return {
+        error: `${field.fieldKey}: filter value must be an ISO 8601 date-time`,
+      };
+    }
+    return { value: time };
+  }
+  if (
+    ["controlledVocabulary", "multiControlledVocabulary"].includes(field.type) &&
+    !field.options.includes(raw)
+  ) {
+    return {
+      error: `${field.fieldKey}: "${raw}" is not one of ${field.options.join(", ")}`,
+    };
+  }
+  return { value: raw };
+}
+
+function parseFilters(fieldsByKey, query, errors) {
+  const filters = [];
+
+  Object.keys(query)
+    .filter((key) => !RESERVED_PARAMS.includes(key))
+    .forEach((key) => {
+      const field = fieldsByKey.get(key);
+      if (!field) {
+        errors.push(`${key}: unknown field for this model`);
+        return;
+      }
+
+      // `facilityType=library` is shorthand for `facilityType[eq]=library`.
+      const raw = query[key];
+      const conditions =
+        raw && typeof raw === "object" && !Array.isArray(raw)
+          ? raw
+          : { eq: raw };
+      const allowed = OPERATORS_BY_TYPE[field.type] || ["eq"];
+
+      Object.entries(conditions).forEach(([op, rawValue]) => {
+        if (!allowed.includes(op)) {
+          errors.push(
+            `${key}: operator "${op}" not supported for ${field.type} (use ${allowed.join(", ")})`
+          );
+          return;
+        }
+        const coerced = coerceFilterValue(field, rawValue);
+        if (coerced.error) {
+          errors.push(coerced.error);
+          return;
+        }
+        filters.push({
+          fieldKey: key,
+          type: field.type,
+          op,
+          value: coerced.value,
+        });
+      });
+    });
+
+  return filters;
+}
+
+function parseSort(fieldsByKey, raw, errors) {
+  if (raw === undefined) return [];
+  if (typeof raw !== "string") {
+    errors.push("sort: must be a comma-separated list of fields");
+    return [];
+  }
+
+  return raw
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const descending = part.startsWith("-");
+      const fieldKey = descending ? part.slice(1) : part;
+      if (!fieldsByKey.has(fieldKey)) {
+        errors.push(`sort: unknown field ${fieldKey}`);
+      }
+      return { fieldKey, direction: descending ? -1 : 1 };
+    });
+}
+
+function parseProjection(fieldsByKey, raw, errors) {
+  if (raw === undefined) return null;
+  if (typeof raw !== "string") {
+    errors.push("fields: must be a comma-separated list of fields");
+    return null;
+  }
+
+  const keys = raw
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  keys
+    .filter((key) => key !== "id" && !fieldsByKey.has(key))
+    .forEach((key) => errors.push(`fields: unknown field ${key}`));
+  return keys;
+}
+
+// status=approved,published; `all` (or no parameter) disables the filter.
+function parseStatuses(raw, errors) {
+  if (raw === undefined || raw === "all") return null;
+  if (typeof raw !== "string") {
+    errors.push("status: must be a comma-separated list of statuses");
+    return null;
+  }
+  const statuses = raw.split(",").map((s) => s.trim()).filter(Boolean);
+  statuses
+    .filter((s) => !STATUSES.includes(s))
+    .forEach((s) =>
+      errors.push(`status: "${s}" is not one of ${STATUSES.join(", ")}, all`)
+    );
+  return statuses;
+}
+
+function parseNonNegativeInt(name, raw, errors) {
+  if (raw === undefined) return undefined;
+  const value = Number(raw);
+  if (typeof raw !== "string" || !Number.isInteger(value) || value < 0) {
+    errors.push(`${name}: must be a non-negative integer`);
+    return undefined;
+  }
+  return value;
+}
+
+function parseNumberList(name, raw, length, errors) {
+  const values = typeof raw === "string" ? raw.split(",").map(Number) : [];
+  if (values.length !== length || !values.every(Number.isFinite)) {
+    errors.push(`${name}: expected ${length} comma-separated numbers`);
+    return null;
+  }
+  return values;
+}
+
+function parsePositiveNumber(name, raw, errors) {
+  if (raw === undefined) return undefined;
+  const value = Number(raw);
+  if (typeof raw !== "string" || !Number.isFinite(value) || value <= 0) {
+    errors.push(`${name}: must be a positive number`);
+    return undefined;
+  }
+  return value;
+}
+
+// bbox=minLon,minLat,maxLon,maxLat (RFC 7946 order, like buildGeoProperty),
+// near=lat,lon with radius=<meters> and/or nearest=<count>.
+function parseGeo(template, query, errors) {
+  if (!GEO_PARAMS.some((key) => query[key] !== undefined)) return null;
+
+  const hasCoordinates = ["latitude", "longitude"].every((key) =>
+    template.fields.some((f) => f.fieldKey === key)
+  );
+  if (!hasCoordinates) {
+    errors.push("bbox/near: model has no latitude/longitude fields");
+    return null;
+  }
+
+  const geo = {};
+  if (query.bbox !== undefined) {
+    const bbox = parseNumberList("bbox", query.bbox, 4, errors);
+    if (bbox) {
+      const [minLon, minLat, maxLon, maxLat] = bbox;
+      if (minLon > maxLon || minLat > maxLat) {
+        errors.push("bbox: expected minLon,minLat,maxLon,maxLat");
+      } else if (
+        [minLat, maxLat].some((v) => Math.abs(v) > 90) ||
+        [minLon, maxLon].some((v) => Math.abs(v) > 180)
+      ) {
+        errors.push("bbox: coordinates out of GIF bounds");
+      } else {
+        geo.bbox = bbox;
+      }
+    }
+  }
+
+  if (query.near !== undefined) {
+    const near = parseNumberList("near", query.near, 2, errors);
+    if (near) {
+      const [latitude, longitude] = near;
+      if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        errors.push("near: expected lat,lon within GIF bounds");
+      } else {
+        geo.near = { latitude, longitude };
+      }
+    }
+  }
+
+  geo.radius = parsePositiveNumber("radius", query.radius, errors);
+  const nearest = parseNonNegativeInt("nearest", query.nearest, errors);
+  if (nearest !== undefined) {
+    if (nearest === 0 || nearest > MAX_LIMIT) {
+      errors.push(`nearest: must be between 1 and ${MAX_LIMIT}`);
+    }
+    geo.nearest = nearest;
+  }
+
+  if (query.near === undefined && (query.radius !== undefined || nearest !== undefined)) {
+    errors.push("radius/nearest: require near=lat,lon");
+  }
+  if (query.near !== undefined && geo.radius === undefined && nearest === undefined) {
+    errors.push("near: requires radius=<meters> or nearest=<count>");
+  }
+
+  return geo;
+}
+
+// Cursors are opaque to clients but simply encode the next offset.
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+function decodeCursor(raw, errors) {
+  try {
+    const { offset } = JSON.parse(
+      Buffer.from(String(raw), "base64url").toString("utf8")
+    );
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch {
+    // fall through to the error below
+  }
+  errors.push("cursor: invalid cursor");
+  return undefined;
+}
+
+/**
+ * Validate list query parameters against the template fields.
+ * Returns { ok, errors } or { ok, value } with the normalized query.
+ */
+function parseItemQuery(template, query = {}) {
+  const errors = [];
+  const fieldsByKey = new Map(template.fields.map((f) => [f.fieldKey, f]));
+
+  const filters = parseFilters(fieldsByKey, query, errors);
+  const sort = parseSort(fieldsByKey, query.sort, errors);
+  const projection = parseProjection(fieldsByKey, query.fields, errors);
+  const geo = parseGeo(template, query, errors);
+  const statuses = parseStatuses(query.status, errors);
+
+  let limit = parseNonNegativeInt("limit", query.limit, errors);
+  if (limit === undefined) limit = DEFAULT_LIMIT;
+  // An empty page would hand back its own offset as the next cursor.
+  if (limit === 0) {
+    errors.push("limit: must be at least 1");
+  }
+  if (limit > MAX_LIMIT) {
+    errors.push(`limit: must be at most ${MAX_LIMIT}`);
+  }
+
+  let offset = parseNonNegativeInt("offset", query.offset, errors);
+  if (query.cursor !== undefined) {
+    if (offset !== undefined) {
+      errors.push("cursor: cannot be combined with offset");
+    }
+    offset = decodeCursor(query.cursor, errors);
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+
+  return {
+    ok: true,
+    value: {
+      filters,
+      sort,
+      projection,
+      geo,
+      statuses,
+      limit,
+      offset: offset || 0,
+    },
+  };
+}
+
+function matchesFilter(item, { fieldKey, type, op, value }) {
+  let actual = item[fieldKey];
+  if (actual === undefined) return false;
+  if (Array.isArray(actual)) return op === "eq" && actual.includes(value);
+  // datetime filter values are epoch milliseconds.
+  if (type === "datetime") actual = Date.parse(actual);
+
+  switch (op) {
+    case "eq":
+      return actual === value;
+    case "prefix":
+      return String(actual).startsWith(value);
+    case "gt":
+      return actual > value;
+    case "gte":
+      return actual >= value;
+    case "lt":
+      return actual < value;
+    case "lte":
+      return actual <= value;
+    default:
+      return false;
+  }
+}
+
+function compareValues(a, b) {
+  // Items missing the sort field always go last, whatever the direction.
+  if (a === b) return 0;
+  if (a === undefined) return 1;
+  if (b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+function project(item, projection, distance) {
+  const picked = projection ? { id: item.id, status: item.status } : { ...item };
+  if (projection) {
+    projection.forEach((key) => {
+      if (item[key] !== undefined) picked[key] = item[key];
+    });
+  }
+  if (distance !== undefined && distance !== null) {
+    picked.distance = Math.round(distance * 10) / 10;
+  }
+  return picked;
+}
+
+/**
+ * Apply a parsed query to a list of items. Geo queries need the model's
+ * spatial index. Returns the requested page plus totals for pagination;
+ * items found via `near` carry `distance` in meters.
+ */
+function applyItemQuery(items, query, spatialIndex) {
+  const { filters, sort, projection, geo, statuses, limit, offset } = query;
+
+  let matched = items.filter(
+    (item) =>
+      (!statuses || statuses.includes(statusOf(item))) &&
+      filters.every((filter) => matchesFilter(item, filter))
+  );
+
+  let distances = new Map();
+  if (geo) {
+    distances = searchSpatial(
+      spatialIndex,
+      geo,
+      new Set(matched.map((item) => item.id))
+    );
+    matched = matched.filter((item) => distances.has(item.id));
+  }
+
+  if (geo && geo.near && sort.length === 0) {
+    matched.sort((a, b) => distances.get(a.id) - distances.get(b.id));
+  } else if (sort.length > 0) {
+    matched.sort((a, b) => {
+      for (const { fieldKey, direction } of sort) {
+        const av = a[fieldKey];
+        const bv = b[fieldKey];
+        if (av === undefined || bv === undefined) {
+          const missing = compareValues(av, bv);
+          if (missing !== 0) return missing;
+          continue;
+        }
+        const result = compareValues(av, bv) * direction;
+        if (result !== 0) return result;
+      }
+      return 0;
+    });
+  }
+
+  const page = matched.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+
+  return {
+    items: page.map((item) => project(item, projection, distances.get(item.id))),
+    total: matched.length,
+    limit,
+    offset,
+    nextCursor: nextOffset < matched.length ? encodeCursor(nextOffset) : null,
+  };
+}
+
+module.exports = {
+  parseItemQuery,
+  applyItemQuery,
+};
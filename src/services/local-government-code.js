@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+
+// 全国地方公共団体コード: 5-digit JIS X 0401 (prefecture) / X 0402
+// (municipality) code plus a check digit. The check digit is
+// (11 - Σ(digit × weight) mod 11) mod 10 with weights 6,5,4,3,2,
+// e.g. 13101 -> 27 mod 11 = 5 -> 6 -> 131016 (千代田区).
+const WEIGHTS = [6, 5, 4, 3, 2];
+
+// The bundled registry covers prefectures, designated and prefectural
+// capital cities and Tokyo's special wards. Point
+// MUNICIPALITY_REGISTRY_PATH at a full list in the same
+// [{ code, prefecture, name }] shape to verify every municipality.
+const BUNDLED_REGISTRY_PATH = path.join(__dirname, "../data/municipalities.json");
+
+let registry = null;
+
+function loadRegistry() {
+  if (!registry) {
+    const registryPath =
+      process.env.MUNICIPALITY_REGISTRY_PATH || BUNDLED_REGISTRY_PATH;
+    const entries = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+    registry = new Map(entries.map((entry) => [entry.code, entry]));
+  }
+  return registry;
+}
+
+/** Every registry entry; prefecture entries have an empty `name`. */
+function listMunicipalities() {
+  return [...loadRegistry().values()];
+}
+
+function computeCheckDigit(baseCode) {
+  const sum = WEIGHTS.reduce(
+    (acc, weight, i) => acc + Number(baseCode[i]) * weight,
+    0
+  );
+  return String((11 - (sum % 11)) % 10);
+}
+
+function lookupMunicipality(code) {
+  const entry = loadRegistry().get(code);
+  if (!entry) return null;
+  return {
+    code: entry.code,
+    prefecture: entry.prefecture,
+    name: entry.name,
+    fullName: `${entry.prefecture}${entry.name}`,
+  };
+}
+
+/**
+ * Check a 6-digit code's format and check digit, and with
+ * `verifyRegistry` that it exists in the municipality registry.
+ * Returns { ok, code, municipality, errors, reason?, expected? } where
+ * `reason` is "format", "checkDigit" or "notInRegistry" on failure.
+ */
+function validateLocalGovernmentCode(value, { verifyRegistry = false } = {}) {
+  const code = String(value);
+  if (!/^[0-9]{6}$/.test(code)) {
+    return {
+      ok: false,
+      code,
+      municipality: null,
+      reason: "format",
+      errors: ["must be 6 half-width digits (5-digit code + check digit)"],
+    };
+  }
+
+  const expected = code.slice(0, 5) + computeCheckDigit(code);
+  if (expected !== code) {
+    const municipality = lookupMunicipality(expected);
+    const hint = municipality ? ` ${municipality.fullName}` : "";
+    return {
+      ok: false,
+      code,
+      expected,
+      municipality,
+      reason: "checkDigit",
+      errors: [`check digit mismatch (expected ${expected}${hint})`],
+    };
+  }
+
+  const municipality = lookupMunicipality(code);
+  if (verifyRegistry && !municipality) {
+    return {
+      ok: false,
+      code,
+      municipality: null,
+      reason: "notInRegistry",
+      errors: [`${code} is not in the municipality registry`],
+    };
+  }
+
+  return { ok: true, code, municipality, errors: [] };
+}
+
+module.exports = {
+  computeCheckDigit,
+  listMunicipalities,
+  lookupMunicipality,
+  validateLocalGovernmentCode,
+};
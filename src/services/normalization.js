@@ -0,0 +1,175 @@
+const { parseAddress, splitPostalCode } = require("./address");
+
+// Input normalization declared per template field (`normalize: [...]`) and
+// run before validation, so pasted `１３１０１６` or `〒100-0001` are accepted
+// but stored in the strict form the patterns expect. Steps run in order.
+const DASHES = /[‐‑‒–—―−ー－ｰ]/g;
+
+function toHalfWidth(text) {
+  return text
+    .replace(/[！-～]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0))
+    .replace(/　/g, " ");
+}
+
+const NORMALIZERS = {
+  trim: (value) => value.trim(),
+  nfkc: (value) => value.normalize("NFKC"),
+  // Full-width ASCII letters/digits/symbols and ideographic space only;
+  // unlike NFKC it leaves kana alone.
+  halfWidth: toHalfWidth,
+  collapseWhitespace: (value) => value.replace(/[\s　]+/g, " ").trim(),
+  // 〒100-0001 / １００－０００１ -> 1000001
+  postalCode: (value) =>
+    toHalfWidth(value).replace(/^〒/, "").replace(DASHES, "").replace(/[-\s]/g, ""),
+  // ０３（１２３４）５６７８ / 03 1234 5678 -> 03-1234-5678
+  phoneNumber: (value) =>
+    toHalfWidth(value)
+      .replace(DASHES, "-")
+      .trim()
+      .replace(/^\(?(\d+)\)\s*/, "$1-")
+      .replace(/\((\d+)\)/g, "-$1-")
+      .replace(/\s+/g, "-")
+      .replace(/-+/g, "-")
+      .replace(/^-|-$/g, ""),
+  // 2024/5/1, 2024.05.01, ２０２４年５月１日 -> 2024-05-01
+  date: (value) => {
+    const match = toHalfWidth(value)
+      .trim()
+      .match(/^(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})\s*日?$/);
+    if (!match) return value;
+    const [, y, m, d] = match;
+    return `${y}-${m.padStart(2, "0")}-${d.padStart(2, "0")}`;
+  },
+  // 9:00 / ９時 / 9時30分 -> 09:00; ranges too: 9:00～18:00 -> 09:00-18:00
+  time: (value) =>
+    toHalfWidth(value)
+      .trim()
+      .replace(/\s*[~〜～]\s*|\s+-\s+/g, "-")
+      .replace(/(\d{1,2})時(?:(\d{1,2})分)?/g, (_, h, m = "0") => `${h}:${m}`)
+      .replace(/(^|-)(\d):/g, "$10$2:")
+      .replace(/:(\d)(?=$|-)/g, ":0$1"),
+  // 2024/5/1 9:00 -> 2024-05-01T09:00:00+09:00 (JST unless an offset is given)
+  datetime: (value) => {
+    const match = toHalfWidth(value)
+      .trim()
+      .match(
+        /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})[T\s]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(Z|[+-]\d{2}:?\d{2})?$/
+      );
+    if (!match) return value;
+    const [, y, mo, d, h, mi, sec = "00", zone] = match;
+    const offset = zone
+      ? zone.replace(/^([+-]\d{2})(\d{2})$/, "$1:$2")
+      : "+09:00";
+    return `${y}-${mo.padStart(2, "0")}-${d.padStart(2, "0")}T${h.padStart(2, "0")}:${mi}:${sec}${offset}`;
+  },
+  // "library、park" / "library, park" -> ["library", "park"]
+  list: (value) =>
+    value
+      .split(/[,、，;；|｜\n]/)
+      .map((part) => part.trim())
+      .filter((part) => part !== ""),
+  // 千代田区丸ノ内一丁目１番１号 -> 東京都千代田区丸の内1丁目1-1 (see address.js).
+  // A typed 〒 code is kept in front; only fillPostalCode moves it out.
+  address: (value) => {
+    const { postalCode } = splitPostalCode(value);
+    const { normalized } = parseAddress(value);
+    return postalCode
+      ? `〒${postalCode.slice(0, 3)}-${postalCode.slice(3)} ${normalized}`
+      : normalized;
+  },
+  // "３５．６８９５" -> 35.6895 (left as-is when not numeric)
+  number: (value) => {
+    const text = toHalfWidth(value).replace(/[,\s]/g, "");
+    const num = Number(text);
+    return text !== "" && Number.isFinite(num) ? num : value;
+  },
+};
+
+const NORMALIZER_NAMES = Object.keys(NORMALIZERS);
+
+// Adds the fillPostalCode step to the field's change, or records one.
+function recordChange(changes, fieldKey, from, to) {
+  const change = changes.find((c) => c.fieldKey === fieldKey);
+  if (change) {
+    change.to = to;
+    change.steps.push("fillPostalCode");
+  } else if (from !== to) {
+    changes.push({ fieldKey, from, to, steps: ["fillPostalCode"] });
+  }
+}
+
+/**
+ * Apply each field's declared normalizers to string values.
+ * Returns the normalized data and a list of what changed.
+ */
+function normalizeItem(template, data) {
+  if (!data || typeof data !== "object") return { value: data, changes: [] };
+
+  const value = { ...data };
+  const changes = [];
+
+  template.fields
+    .filter((f) => Array.isArray(f.normalize) && f.normalize.length > 0)
+    .forEach((field) => {
+      const original = value[field.fieldKey];
+      if (typeof original !== "string") return;
+
+      let current = original;
+      const applied = [];
+      for (const step of field.normalize) {
+        const normalizer = NORMALIZERS[step];
+        if (!normalizer || typeof current !== "string") continue;
+        const next = normalizer(current);
+        if (next !== current) applied.push(step);
+        current = next;
+      }
+
+      if (current !== original) {
+        value[field.fieldKey] = current;
+        changes.push({
+          fieldKey: field.fieldKey,
+          from: original,
+          to: current,
+          steps: applied,
+        });
+      }
+    });
+
+  // `fillPostalCode: "<fieldKey>"` on an address field fills that field
+  // when it is empty: with a 〒 code typed in the address, else from the
+  // town dictionary. The typed code only leaves the address once that
+  // field holds the same code.
+  template.fields
+    .filter((f) => f.fillPostalCode && typeof value[f.fieldKey] === "string")
+    .forEach((field) => {
+      const target = field.fillPostalCode;
+      const typed = splitPostalCode(value[field.fieldKey]);
+      if ([undefined, null, ""].includes(value[target])) {
+        const postalCode =
+          typed.postalCode || parseAddress(value[field.fieldKey]).postalCode;
+        if (postalCode) {
+          changes.push({
+            fieldKey: target,
+            from: value[target],
+            to: postalCode,
+            steps: ["fillPostalCode"],
+          });
+          value[target] = postalCode;
+        }
+      }
+      if (
+        typed.postalCode &&
+        String(value[target]).replace(/\D/g, "") === typed.postalCode
+      ) {
+        recordChange(changes, field.fieldKey, data[field.fieldKey], typed.rest);
+        value[field.fieldKey] = typed.rest;
+      }
+    });
+
+  return { value, changes };
+}
+
+module.exports = {
+  NORMALIZER_NAMES,
+  normalizeItem,
+};
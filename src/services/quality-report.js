@@ -0,0 +1,526 @@
+// Dataset quality report for a model's items: completeness, vocabulary use,
+// coordinate outliers, stale update dates, duplicate identifiers and a
+// 5-star open data rating (https://5stardata.info/). The score weights
+// are a prototype choice; every component is reported on its own too.
+const { validateItem } = require("../validation");
+const { JAPAN_BBOX } = require("./geofence");
+const { haversineDistance } = require("./spatial-index");
+const { validateLocalGovernmentCode } = require("./local-government-code");
+const { statusOf } = require("../workflow");
+
+const DEFAULT_STALE_DAYS = 365;
+// A point is an outlier when it is further from the dataset's median
+// location than OUTLIER_FACTOR times the median distance, and at least
+// MIN_OUTLIER_KM away (a typo'd digit usually moves a point by far more).
+const OUTLIER_FACTOR = 10;
+const MIN_OUTLIER_KM = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCORE_WEIGHTS = {
+  mandatoryCompleteness: 30,
+  validity: 20,
+  uniqueness: 15,
+  coordinates: 15,
+  freshness: 10,
+  optionalCompleteness: 10,
+};
+
+function isMissing(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function rate(part, total) {
+  return total === 0 ? 1 : Math.round((part / total) * 1000) / 1000;
+}
+
+function itemRef(item) {
+  return { itemId: item.id, identifier: item.identifier };
+}
+
+function isMandatory(field) {
+  return field.required || field.mandatoryMark === "◎";
+}
+
+function fieldCompleteness(fields, items) {
+  const rows = fields.map((field) => {
+    const filled = items.filter((item) => !isMissing(item[field.fieldKey])).length;
+    return {
+      fieldKey: field.fieldKey,
+      label: field.label,
+      filled,
+      missing: items.length - filled,
+      rate: rate(filled, items.length),
+    };
+  });
+  const filled = rows.reduce((sum, row) => sum + row.filled, 0);
+  return { rate: rate(filled, rows.length * items.length), fields: rows };
+}
+
+function vocabularyDistribution(template, items) {
+  return template.fields
+    .filter((f) =>
+      ["controlledVocabulary", "multiControlledVocabulary"].includes(f.type)
+    )
+    .map((field) => {
+      const counts = new Map((field.options || []).map((o) => [o, 0]));
+      const unknown = new Map();
+      let missing = 0;
+      items.forEach((item) => {
+        const value = item[field.fieldKey];
+        if (isMissing(value)) {
+          missing += 1;
+          return;
+        }
+        (Array.isArray(value) ? value : [value]).forEach((option) => {
+          const bucket = counts.has(option) ? counts : unknown;
+          bucket.set(option, (bucket.get(option) || 0) + 1);
+        });
+      });
+      const used = items.length - missing;
+      return {
+        fieldKey: field.fieldKey,
+        label: field.label,
+        missing,
+        distribution: [...counts].map(([value, count]) => ({
+          value,
+          label: (field.optionLabels || {})[value] || value,
+          count,
+          share: rate(count, used),
+        })),
+        unused: [...counts].filter(([, count]) => count === 0).map(([v]) => v),
+        unknown: [...unknown].map(([value, count]) => ({ value, count })),
+      };
+    });
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function coordinateReport(items) {
+  const located = items.filter(
+    (item) => Number.isFinite(item.latitude) && Number.isFinite(item.longitude)
+  );
+  const [minLon, minLat, maxLon, maxLat] = JAPAN_BBOX;
+  const inJapan = located.filter(
+    (item) =>
+      item.longitude >= minLon &&
+      item.longitude <= maxLon &&
+      item.latitude >= minLat &&
+      item.latitude <= maxLat
+  );
+  const outsideJapan = located
+    .filter((item) => !inJapan.includes(item))
+    .map((item) => ({
+      ...itemRef(item),
+      latitude: item.latitude,
+      longitude: item.longitude,
+    }));
+
+  // Outliers are measured from the median point of the in-Japan items.
+  let center = null;
+  let outliers = [];
+  if (inJapan.length > 0) {
+    center = {
+      latitude: median(inJapan.map((item) => item.latitude)),
+      longitude: median(inJapan.map((item) => item.longitude)),
+    };
+    const distances = inJapan.map((item) => ({
+      item,
+      km:
+        haversineDistance(
+          center.latitude,
+          center.longitude,
+          item.latitude,
+          item.longitude
+        ) / 1000,
+    }));
+    const threshold = Math.max(
+      MIN_OUTLIER_KM,
+      OUTLIER_FACTOR * median(distances.map((d) => d.km))
+    );
+    outliers = distances
+      .filter((d) => d.km > threshold)
+      .sort((a, b) => b.km - a.km)
+      .map(({ item, km }) => ({
+        ...itemRef(item),
+        latitude: item.latitude,
+        longitude: item.longitude,
+        distanceKm: Math.round(km * 10) / 10,
+      }));
+  }
+
+  return {
+    located: located.length,
+    missing: items.length - located.length,
+    center,
+    outsideJapan,
+    outliers,
+    rate: rate(inJapan.length - outliers.length, items.length),
+  };
+}
+
+function freshnessReport(template, items, { now, staleDays }) {
+  const field = template.fields.find((f) => f.fieldKey === "datasetUpdatedAt");
+  if (!field) return null;
+
+  const dated = items.filter((item) => !isMissing(item[field.fieldKey]));
+  const ages = dated.map((item) => ({
+    item,
+    value: item[field.fieldKey],
+    ageDays: Math.floor((now - Date.parse(item[field.fieldKey])) / DAY_MS),
+  }));
+  const toRef = ({ item, value, ageDays }) => ({ ...itemRef(item), value, ageDays });
+  const stale = ages.filter((a) => a.ageDays > staleDays).map(toRef);
+  const future = ages.filter((a) => a.ageDays < 0).map(toRef);
+  const values = dated.map((item) => item[field.fieldKey]).sort();
+
+  return {
+    fieldKey: field.fieldKey,
+    thresholdDays: staleDays,
+    oldest: values[0] || null,
+    newest: values[values.length - 1] || null,
+    stale,
+    future,
+    rate: rate(dated.length - stale.length - future.length, items.length),
+  };
+}
+
+function duplicateIdentifiers(items) {
+  const byIdentifier = new Map();
+  items
+    .filter((item) => !isMissing(item.identifier))
+    .forEach((item) => {
+      const ids = byIdentifier.get(item.identifier) || [];
+      byIdentifier.set(item.identifier, [...ids, item.id]);
+    });
+  return [...byIdentifier]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([identifier, itemIds]) => ({ identifier, itemIds }));
+}
+
+function validityReport(template, items) {
+  const invalid = items
+    .map((item) => {
+      const { id: _id, status: _s, workflowHistory: _h, ...content } = item;
+      const validation = validateItem(template, content);
+      return validation.ok
+        ? null
+        : { ...itemRef(item), codes: [...new Set(validation.errors.map((e) => e.code))] };
+    })
+    .filter(Boolean);
+  return {
+    valid: items.length - invalid.length,
+    invalid,
+    rate: rate(items.length - invalid.length, items.length),
+  };
+}
+
+// A vocabulary whose terms are http(s) URIs, i.e. another dataset's things.
+function isLinkField(field) {
+  return (
+    ["controlledVocabulary", "multiControlledVocabulary"].includes(field.type) &&
+    (field.options || []).length > 0 &&
+    field.options.every((option) => /^https?:\/\//.test(option))
+  );
+}
+
+// 5-star open data, each star building on the previous one. ★5 needs URI
+// links to an external vocabulary; codes that only resolve in a registry
+// (全国地方公共団体コード) are plain values and do not count.
+function opennessRating(template, allItems, { duplicates }) {
+  const published = allItems.filter((item) => statusOf(item) === "published");
+  const linkField = template.fields.find(
+    (field) =>
+      isLinkField(field) &&
+      published.length > 0 &&
+      published.every((item) => !isMissing(item[field.fieldKey]))
+  );
+  const codeField = template.fields.find((f) => f.format === "localGovernmentCode");
+  const codesResolve =
+    codeField &&
+    published.length > 0 &&
+    published.every(
+      (item) =>
+        validateLocalGovernmentCode(item[codeField.fieldKey], {
+          verifyRegistry: true,
+        }).ok
+    );
+  const identified =
+    published.length > 0 &&
+    duplicates.length === 0 &&
+    published.every((item) => !isMissing(item.identifier));
+
+  const criteria = [
+    {
+      star: 1,
+      label: "Available on the web (公開済み)",
+      met: published.length > 0,
+      detail: `${published.length} published item(s); publish under an open licence such as CC BY 4.0 (公共データ利用規約)`,
+    },
+    {
+      star: 2,
+      label: "Machine-readable structured data",
+      met: published.length > 0,
+      detail: "Items are served as JSON and spreadsheet-compatible CSV",
+    },
+    {
+      star: 3,
+      label: "Non-proprietary formats",
+      met: published.length > 0,
+      detail: "CSV, GeoJSON and KML exports",
+    },
+    {
+      star: 4,
+      label: "URIs identify things",
+      met: identified,
+      detail: "Every published item has a unique identifier (NGSI-LD id urn:ace:<model>:<identifier>)",
+    },
+    {
+      star: 5,
+      label: "Linked to other data",
+      met: Boolean(linkField),
+      detail: linkField
+        ? `${linkField.fieldKey} links every published item to an external vocabulary by URI`
+        : codesResolve
+          ? `${codeField.fieldKey} codes resolve in the 全国地方公共団体コード registry but are not URI links; a controlled vocabulary of http(s) URIs is needed`
+          : "No field links published items to an external vocabulary by URI",
+    },
+  ];
+  const stars = criteria.findIndex((c) => !c.met);
+  return { stars: stars === -1 ? criteria.length : stars, criteria };
+}
+
+/**
+ * Quality report over `items` (already filtered); `allItems` feeds the
+ * openness rating, which is about what has actually been published.
+ */
+function buildQualityReport(model, items, allItems, options = {}) {
+  const now = options.now || Date.now();
+  const staleDays = options.staleDays || DEFAULT_STALE_DAYS;
+
+  const mandatory = fieldCompleteness(model.fields.filter(isMandatory), items);
+  const optional = fieldCompleteness(
+    model.fields.filter((f) => !isMandatory(f)),
+    items
+  );
+  const duplicates = duplicateIdentifiers(items);
+  const duplicated = duplicates.reduce((sum, d) => sum + d.itemIds.length, 0);
+  const validity = validityReport(model, items);
+  const coordinates = coordinateReport(items);
+  const freshness = freshnessReport(model, items, { now, staleDays });
+
+  const components = {
+    mandatoryCompleteness: mandatory.rate,
+    optionalCompleteness: optional.rate,
+    validity: validity.rate,
+    uniqueness: rate(items.length - duplicated, items.length),
+    coordinates: coordinates.rate,
+    freshness: freshness ? freshness.rate : 1,
+  };
+  const score = Math.round(
+    Object.entries(SCORE_WEIGHTS).reduce(
+      (sum, [key, weight]) => sum + components[key] * weight,
+      0
+    )
+  );
+
+  return {
+    modelId: model.id,
+    title: model.title || model.label,
+    generatedAt: new Date(now).toISOString(),
+    itemCount: items.length,
+    score,
+    components,
+    completeness: { mandatory, optional },
+    vocabularies: vocabularyDistribution(model, items),
+    coordinates,
+    freshness,
+    duplicates,
+    validity,
+    openness: opennessRating(model, allItems, { duplicates }),
+  };
+}
+
+function percent(value) {
+  return `${Math.round(value * 1000) / 10}%`;
+}
+
+function stars(count) {
+  return "★".repeat(count) + "☆".repeat(5 - count);
+}
+
+// Sections shared by the Markdown and HTML renderings: [title, headers, rows].
+function reportTables(report) {
+  const refs = (list, extra) =>
+    list.map((entry) => [entry.identifier || entry.itemId, ...extra(entry)]);
+  const tables = [
+    [
+      "スコア内訳 / Score components",
+      ["Component", "Rate", "Weight"],
+      Object.entries(SCORE_WEIGHTS).map(([key, weight]) => [
+        key,
+        percent(report.components[key]),
+        weight,
+      ]),
+    ],
+    [
+      "完全性（必須）/ Mandatory completeness",
+      ["Field", "項目名", "Filled", "Missing", "Rate"],
+      report.completeness.mandatory.fields.map((f) => [
+        f.fieldKey,
+        f.label,
+        f.filled,
+        f.missing,
+        percent(f.rate),
+      ]),
+    ],
+    [
+      "完全性（任意）/ Optional completeness",
+      ["Field", "項目名", "Filled", "Missing", "Rate"],
+      report.completeness.optional.fields.map((f) => [
+        f.fieldKey,
+        f.label,
+        f.filled,
+        f.missing,
+        percent(f.rate),
+      ]),
+    ],
+    ...report.vocabularies.map((v) => [
+      `語彙の分布 / Vocabulary: ${v.label} (${v.fieldKey})`,
+      ["Value", "Label", "Count", "Share"],
+      [
+        ...v.distribution.map((d) => [d.value, d.label, d.count, percent(d.share)]),
+        ...v.unknown.map((u) => [u.value, "(not in options)", u.count, ""]),
+      ],
+    ]),
+    [
+      "座標の外れ値 / Coordinate outliers",
+      ["Item", "Latitude", "Longitude", "Distance from median (km)"],
+      [
+        ...refs(report.coordinates.outsideJapan, (o) => [o.latitude, o.longitude, "outside Japan"]),
+        ...refs(report.coordinates.outliers, (o) => [o.latitude, o.longitude, o.distanceKm]),
+      ],
+    ],
+  ];
+  if (report.freshness) {
+    tables.push([
+      `更新日 / Stale ${report.freshness.fieldKey} (> ${report.freshness.thresholdDays} days, or in the future)`,
+      ["Item", "Value", "Age (days)"],
+      refs([...report.freshness.stale, ...report.freshness.future], (s) => [
+        s.value,
+        s.ageDays,
+      ]),
+    ]);
+  }
+  tables.push(
+    [
+      "ID重複 / Duplicate identifiers",
+      ["Identifier", "Item ids"],
+      report.duplicates.map((d) => [d.identifier, d.itemIds.join(", ")]),
+    ],
+    [
+      "検証エラー / Items failing validation",
+      ["Item", "Error codes"],
+      refs(report.validity.invalid, (i) => [i.codes.join(", ")]),
+    ],
+    [
+      `オープンデータ5つ星 / 5-star openness: ${stars(report.openness.stars)}`,
+      ["Star", "Criterion", "Met", "Detail"],
+      report.openness.criteria.map((c) => [c.star, c.label, c.met ? "yes" : "no", c.detail]),
+    ]
+  );
+  return tables;
+}
+
+function summaryLines(report) {
+  return [
+    `Model: ${report.modelId} (${report.title})`,
+    `Generated: ${report.generatedAt}`,
+    `Items: ${report.itemCount}`,
+    `Score: ${report.score} / 100`,
+    `Openness: ${stars(report.openness.stars)} (${report.openness.stars}/5)`,
+  ];
+}
+
+function markdownCell(value) {
+  return String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function toMarkdown(report) {
+  const lines = [
+    `# データ品質レポート / Data quality report: ${report.title}`,
+    "",
+    ...summaryLines(report).map((line) => `- ${line}`),
+  ];
+  reportTables(report).forEach(([title, headers, rows]) => {
+    lines.push("", `## ${title}`, "");
+    if (rows.length === 0) {
+      lines.push("None.");
+      return;
+    }
+    lines.push(`| ${headers.map(markdownCell).join(" | ")} |`);
+    lines.push(`| ${headers.map(() => "---").join(" | ")} |`);
+    rows.forEach((row) => lines.push(`| ${row.map(markdownCell).join(" | ")} |`));
+  });
+  return lines.join("\n") + "\n";
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toHtml(report) {
+  const sections = reportTables(report).map(([title, headers, rows]) => {
+    const body =
+      rows.length === 0
+        ? "<p>None.</p>"
+        : [
+            "<table>",
+            `<tr>${headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr>`,
+            ...rows.map(
+              (row) =>
+                `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`
+            ),
+            "</table>",
+          ].join("\n");
+    return `<h2>${escapeHtml(title)}</h2>\n${body}`;
+  });
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="ja">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>データ品質レポート: ${escapeHtml(report.title)}</title>`,
+    "<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse;margin-bottom:1em}th,td{border:1px solid #ccc;padding:4px 8px;text-align:left}th{background:#f4f4f4}</style>",
+    "</head>",
+    "<body>",
+    `<h1>データ品質レポート / Data quality report: ${escapeHtml(report.title)}</h1>`,
+    "<ul>",
+    ...summaryLines(report).map((line) => `<li>${escapeHtml(line)}</li>`),
+    "</ul>",
+    ...sections,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  DEFAULT_STALE_DAYS,
+  buildQualityReport,
+  toMarkdown,
+  toHtml,
+};
@@ -0,0 +1,214 @@
+const { z } = require("zod");
+const {
+  templateFieldSchema,
+  TEMPLATE_LABELS,
+  templateReferenceErrors,
+  vocabularyOptionErrors,
+  compileFieldPattern,
+  validateItem,
+} = require("../validation");
+const { validationError } = require("../validation-errors");
+const { renameFieldReferences } = require("./field-rules");
+
+const fieldKeySchema = templateFieldSchema.shape.fieldKey;
+
+const operationSchema = z.discriminatedUnion("op", [
+  z.object({
+    op: z.literal("addField"),
+    field: templateFieldSchema,
+    // Value written into existing records, e.g. for a new ◎ field.
+    defaultValue: z.any().optional(),
+    after: z.string().optional(),
+  }),
+  z.object({ op: z.literal("removeField"), fieldKey: z.string() }),
+  z.object({ op: z.literal("renameField"), from: z.string(), to: fieldKeySchema }),
+  z.object({
+    op: z.literal("updateField"),
+    fieldKey: z.string(),
+    changes: templateFieldSchema
+      .omit({ fieldKey: true })
+      .partial()
+      .extend({ required: z.boolean().optional() }),
+    // Rewrites stored values, e.g. { "gym": "gymnasium" } when a
+    // vocabulary option is renamed.
+    valueMap: z.record(z.any()).optional(),
+  }),
+]);
+
+const migrationSchema = z.object({
+  operations: z.array(operationSchema).min(1),
+  dryRun: z.boolean().optional().default(false),
+  allowNonCompliant: z.boolean().optional().default(false),
+});
+
+const MIGRATION_LABELS = {
+  ...TEMPLATE_LABELS,
+  operations: "操作",
+  op: "操作の種類",
+  field: "追加する項目",
+  defaultValue: "既定値",
+  after: "挿入位置",
+  from: "変更前の項目名英語",
+  to: "変更後の項目名英語",
+  changes: "変更内容",
+  valueMap: "値の置換",
+  dryRun: "試行のみ",
+  allowNonCompliant: "不適合の許可",
+};
+
+// Errors about an operation point at its parameter, e.g. operations.0.from.
+function operationError(code, i, key, value) {
+  return validationError(code, {
+    fieldKey: `operations.${i}.${key}`,
+    label: MIGRATION_LABELS[key],
+    value,
+  });
+}
+
+/**
+ * Apply schema operations to a field list. Returns the new fields plus a
+ * record transform that carries existing item data along (renames, removed
+ * keys, defaults, remapped vocabulary values).
+ */
+function applyOperations(fields, operations) {
+  let next = fields.map((f) => ({ ...f }));
+  const steps = [];
+  const errors = [];
+  const indexOf = (key) => next.findIndex((f) => f.fieldKey === key);
+
+  operations.forEach((operation, i) => {
+    if (operation.op === "addField") {
+      const field = compileFieldPattern({ ...operation.field });
+      if (indexOf(field.fieldKey) !== -1) {
+        errors.push(operationError("fieldExists", i, "field", field.fieldKey));
+        return;
+      }
+      const afterIndex =
+        operation.after !== undefined ? indexOf(operation.after) : next.length - 1;
+      if (afterIndex === -1) {
+        errors.push(operationError("unknownField", i, "after", operation.after));
+        return;
+      }
+      next.splice(afterIndex + 1, 0, field);
+      if (operation.defaultValue !== undefined) {
+        steps.push((item) =>
+          item[field.fieldKey] === undefined
+            ? { ...item, [field.fieldKey]: operation.defaultValue }
+            : item
+        );
+      }
+      return;
+    }
+
+    if (operation.op === "removeField") {
+      if (indexOf(operation.fieldKey) === -1) {
+        errors.push(
+          operationError("unknownField", i, "fieldKey", operation.fieldKey)
+        );
+        return;
+      }
+      next = next.filter((f) => f.fieldKey !== operation.fieldKey);
+      steps.push((item) => {
+        const { [operation.fieldKey]: _removed, ...rest } = item;
+        return rest;
+      });
+      return;
+    }
+
+    if (operation.op === "renameField") {
+      const index = indexOf(operation.from);
+      if (index === -1) {
+        errors.push(operationError("unknownField", i, "from", operation.from));
+        return;
+      }
+      if (indexOf(operation.to) !== -1) {
+        errors.push(operationError("fieldExists", i, "to", operation.to));
+        return;
+      }
+      next[index] = { ...next[index], fieldKey: operation.to };
+      next = next.map((f) =>
+        renameFieldReferences(f, operation.from, operation.to)
+      );
+      steps.push((item) => {
+        if (!(operation.from in item)) return item;
+        const { [operation.from]: value, ...rest } = item;
+        return { ...rest, [operation.to]: value };
+      });
+      return;
+    }
+
+    if (operation.op === "updateField") {
+      const index = indexOf(operation.fieldKey);
+      if (index === -1) {
+        errors.push(
+          operationError("unknownField", i, "fieldKey", operation.fieldKey)
+        );
+        return;
+      }
+      next[index] = compileFieldPattern({ ...next[index], ...operation.changes });
+      if (operation.valueMap) {
+        const key = operation.fieldKey;
+        const mapValue = (value) =>
+          Object.prototype.hasOwnProperty.call(operation.valueMap, value)
+            ? operation.valueMap[value]
+            : value;
+        steps.push((item) => {
+          if (item[key] === undefined) return item;
+          // multiControlledVocabulary values are remapped option by option.
+          const next = Array.isArray(item[key])
+            ? item[key].map(mapValue)
+            : mapValue(item[key]);
+          return next === item[key] ? item : { ...item, [key]: next };
+        });
+      }
+    }
+  });
+
+  errors.push(...vocabularyOptionErrors(next), ...templateReferenceErrors(next));
+
+  const transform = (item) => steps.reduce((acc, step) => step(acc), item);
+  return { fields: next, transform, errors };
+}
+
+// Content of a stored item, without id and workflow metadata.
+function contentOf(item) {
+  const { id: _id, status: _status, workflowHistory: _history, ...content } = item;
+  return content;
+}
+
+/**
+ * Dry-run a new schema against every item of the model. Returns the
+ * migrated items and the ones that would no longer validate.
+ */
+function planMigration(model, fields, transform, items) {
+  const schema = { ...model, fields };
+  const migrated = [];
+  const nonCompliant = [];
+
+  items.forEach((item) => {
+    const content = transform(contentOf(item));
+    const validation = validateItem(schema, content);
+    if (!validation.ok) {
+      nonCompliant.push({
+        itemId: item.id,
+        identifier: item.identifier,
+        errors: validation.errors,
+      });
+    }
+    const next = validation.ok ? validation.value : content;
+    migrated.push({
+      item,
+      content: next,
+      changed: JSON.stringify(next) !== JSON.stringify(contentOf(item)),
+    });
+  });
+
+  return { migrated, nonCompliant };
+}
+
+module.exports = {
+  MIGRATION_LABELS,
+  migrationSchema,
+  applyOperations,
+  planMigration,
+};
@@ -0,0 +1,268 @@
+const xlsx = require("xlsx");
+
+// Municipal spreadsheets rarely have their header in row 1: a title row and
+// notes (※令和6年4月1日現在) come first, header cells are merged (所在地
+// over 住所/緯度/経度), a second header row carries the English names, and
+// the data may sit on any of several sheets. This finds the table.
+const SCAN_ROWS = 30;
+const HEADER_ROW_COUNTS = [1, 2];
+
+const JAPANESE = /[぀-ヿ㐀-鿿ｦ-ﾟ]/;
+const ENGLISH = /^[A-Za-z][A-Za-z0-9 _\-()./&']*$/;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+function cellText(value) {
+  return isBlank(value) ? "" : String(value).trim();
+}
+
+// Header cells are text; numbers, dates and codes are data.
+function isLabel(value) {
+  if (typeof value !== "string") return false;
+  const text = value.trim();
+  return (
+    text !== "" &&
+    !/^[-+]?[\d,.]+$/.test(text) &&
+    !/^\d{4}[-/年]\d{1,2}/.test(text)
+  );
+}
+
+/**
+ * Parse `sheet`, `headerRow` (1-based spreadsheet row) and `headerRows`
+ * (1 or 2) from a query string or form body.
+ */
+function parseLayoutOptions(source = {}) {
+  const errors = [];
+  const value = {};
+  if (!isBlank(source.sheet)) value.sheet = String(source.sheet);
+  if (source.headerRow !== undefined) {
+    const headerRow = Number(source.headerRow);
+    if (!Number.isInteger(headerRow) || headerRow < 1) {
+      errors.push("headerRow: must be a row number (1 or more)");
+    }
+    value.headerRow = headerRow;
+  }
+  if (source.headerRows !== undefined) {
+    const headerRows = Number(source.headerRows);
+    if (!HEADER_ROW_COUNTS.includes(headerRows)) {
+      errors.push(`headerRows: must be one of ${HEADER_ROW_COUNTS.join(", ")}`);
+    }
+    value.headerRows = headerRows;
+  }
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, value };
+}
+
+/** Sheet named `sheet`, or the `sheet`-th one (1-based); null if none. */
+function findSheetName(workbook, sheet) {
+  if (workbook.SheetNames.includes(sheet)) return sheet;
+  const index = Number(sheet);
+  return Number.isInteger(index) && index >= 1
+    ? workbook.SheetNames[index - 1] || null
+    : null;
+}
+
+/**
+ * Cell values of a sheet as dense rows, with the value of each merged
+ * range copied into all of its cells. `firstRow` is the spreadsheet row
+ * number of rows[0]; `merges` are relative to rows.
+ */
+function sheetGrid(workbook, sheetName) {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) throw new Error(`Sheet "${sheetName}" not found`);
+  if (!sheet["!ref"]) return { rows: [], firstRow: 1, merges: [] };
+
+  const start = xlsx.utils.decode_range(sheet["!ref"]).s;
+  const raw = xlsx.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: true,
+    blankrows: true,
+  });
+  const merges = (sheet["!merges"] || []).map(({ s, e }) => ({
+    s: { r: s.r - start.r, c: s.c - start.c },
+    e: { r: e.r - start.r, c: e.c - start.c },
+  }));
+  const width = Math.max(
+    0,
+    ...raw.map((row) => row.length),
+    ...merges.map(({ e }) => e.c + 1)
+  );
+  const rows = raw.map((row) => Array.from({ length: width }, (_, c) => row[c]));
+
+  merges.forEach(({ s, e }) => {
+    const value = rows[s.r] && rows[s.r][s.c];
+    if (isBlank(value)) return;
+    for (let r = Math.max(s.r, 0); r <= e.r; r++) {
+      if (!rows[r]) rows[r] = Array.from({ length: width });
+      for (let c = Math.max(s.c, 0); c <= e.c; c++) rows[r][c] = value;
+    }
+  });
+  return { rows, firstRow: start.r + 1, merges };
+}
+
+function rowStats(row = []) {
+  const cells = row.filter((value) => !isBlank(value));
+  const texts = cells.map(cellText);
+  return {
+    filled: cells.length,
+    distinct: new Set(texts).size,
+    labelShare: cells.length > 0 ? cells.filter(isLabel).length / cells.length : 0,
+    japanese: texts.filter((text) => JAPANESE.test(text)).length,
+    english: texts.filter((text) => ENGLISH.test(text)).length,
+  };
+}
+
+// First row of distinct text cells spanning at least half the table (title
+// and note rows have one or two cells, data rows numbers and dates), or -1.
+function detectHeaderRow(rows) {
+  const scanned = rows.slice(0, SCAN_ROWS).map(rowStats);
+  const width = Math.max(0, ...scanned.map((stats) => stats.filled));
+  const minimum = Math.max(2, Math.ceil(width / 2));
+  return scanned.findIndex(
+    (stats) => stats.distinct >= minimum && stats.labelShare >= 0.8
+  );
+}
+
+// How the row after the header relates to it: "ja-en" / "en-ja" for a
+// Japanese and an English row (compared where they differ, since a cell
+// merged down both rows repeats), "grouped" when merged cells in the header
+// group the columns named below, null when it is data.
+function secondHeaderKind(rows, index, merges) {
+  const header = rowStats(rows[index]);
+  const next = rowStats(rows[index + 1]);
+  if (next.filled < Math.ceil(header.filled / 2) || next.labelShare < 0.8) {
+    return null;
+  }
+  const upper = (rows[index] || []).map(cellText);
+  const lower = (rows[index + 1] || []).map(cellText);
+  const differing = upper
+    .map((text, c) => [text, lower[c]])
+    .filter(([above, below]) => above && below && above !== below);
+  const english = (texts) => texts.every((text) => ENGLISH.test(text));
+  const japanese = (texts) =>
+    texts.filter((text) => JAPANESE.test(text)).length >= texts.length / 2;
+  const above = differing.map(([text]) => text);
+  const below = differing.map(([, text]) => text);
+  if (differing.length > 0 && japanese(above) && english(below)) return "ja-en";
+  if (differing.length > 0 && english(above) && japanese(below)) return "en-ja";
+
+  const spansColumns = merges.some(
+    ({ s, e }) => s.r === index && e.r === index && e.c > s.c
+  );
+  const spansRows = merges.some(({ s, e }) => s.r === index && e.r === index + 1);
+  return spansColumns || spansRows ? "grouped" : null;
+}
+
+function headerColumns(rows, index, count, kind) {
+  const upper = (rows[index] || []).map(cellText);
+  if (count === 1) return upper.map((header) => ({ header }));
+  const lower = (rows[index + 1] || []).map(cellText);
+
+  if (kind === "ja-en" || kind === "en-ja") {
+    const [ja, en] = kind === "ja-en" ? [upper, lower] : [lower, upper];
+    return ja.map((text, c) => ({
+      header: text || en[c],
+      ...(text && en[c] && en[c] !== text ? { englishHeader: en[c] } : {}),
+    }));
+  }
+  // Grouped: the lower row names the column; a name used in two groups
+  // (平日 / 休日 電話番号) is prefixed with its group like 名称_英語.
+  const names = upper.map((group, c) => lower[c] || group);
+  return names.map((name, c) => {
+    const group = upper[c];
+    const repeated = names.filter((other) => other === name).length > 1;
+    return {
+      header: repeated && group && group !== name ? `${group}_${name}` : name,
+      ...(group && group !== name ? { group } : {}),
+    };
+  });
+}
+
+/**
+ * Locate the table on a sheet. Returns { headerRow, headerRows,
+ * headerDetected, columns: [{ header, englishHeader?, group? }], rows,
+ * dataStartRow, preamble: [{ row, text }] }; row numbers are the
+ * spreadsheet's and blank data rows are dropped. `headerRow` / `headerRows`
+ * override the detection; `headerDetected` is false when overridden or
+ * when no row looked like a header.
+ */
+function readTable(workbook, sheetName, options = {}) {
+  const { rows, firstRow, merges } = sheetGrid(workbook, sheetName);
+  const lastRow = firstRow + rows.length - 1;
+
+  const detected = detectHeaderRow(rows);
+  // Without a header-like row, the first non-blank row is taken.
+  let index =
+    detected !== -1
+      ? detected
+      : Math.max(0, rows.findIndex((row) => row.some((value) => !isBlank(value))));
+  if (options.headerRow !== undefined) {
+    if (options.headerRow < firstRow || options.headerRow > lastRow) {
+      throw new Error(
+        `headerRow ${options.headerRow} is outside the rows of sheet "${sheetName}" (${firstRow}-${lastRow})`
+      );
+    }
+    index = options.headerRow - firstRow;
+  }
+  const kind = secondHeaderKind(rows, index, merges);
+  const headerRows =
+    options.headerRows || (kind && index + 1 < rows.length ? 2 : 1);
+
+  const preamble = rows
+    .slice(0, index)
+    .map((row, i) => ({
+      row: firstRow + i,
+      text: [...new Set(row.map(cellText).filter(Boolean))].join(" "),
+    }))
+    .filter((entry) => entry.text);
+
+  return {
+    headerRow: firstRow + index,
+    headerRows,
+    headerDetected: options.headerRow === undefined && detected !== -1,
+    columns: headerColumns(rows, index, headerRows, kind || "grouped"),
+    rows: rows
+      .slice(index + headerRows)
+      .filter((row) => row.some((value) => !isBlank(value))),
+    dataStartRow: firstRow + index + headerRows,
+    preamble,
+  };
+}
+
+/**
+ * Every sheet with its non-blank `rowCount` and the table found on it:
+ * `headerRow`, `columnCount` and `dataRowCount`, null when no row looks
+ * like a header (cover and notes sheets).
+ */
+function listSheets(workbook) {
+  return workbook.SheetNames.map((name) => {
+    const { rows } = sheetGrid(workbook, name);
+    const rowCount = rows.filter((row) => row.some((value) => !isBlank(value))).length;
+    const table = rowCount > 0 ? readTable(workbook, name) : null;
+    if (!table || !table.headerDetected) {
+      return { name, rowCount, headerRow: null, columnCount: null, dataRowCount: null };
+    }
+    return {
+      name,
+      rowCount,
+      headerRow: table.headerRow,
+      columnCount: table.columns.filter((column) => column.header).length,
+      dataRowCount: table.rows.length,
+    };
+  });
+}
+
+/** The first sheet holding a table with data rows, else the first sheet. */
+function defaultSheetName(workbook, sheets = listSheets(workbook)) {
+  const withData = sheets.find((sheet) => sheet.dataRowCount > 0);
+  return withData ? withData.name : workbook.SheetNames[0];
+}
+
+module.exports = {
+  parseLayoutOptions,
+  findSheetName,
+  readTable,
+  listSheets,
+  defaultSheetName,
+};
@@ -0,0 +1,206 @@
+// Uniform lat/lon grid index for item coordinates. Cells are 0.01° (~1 km),
+// which keeps a municipal dataset to a handful of points per cell.
+const EARTH_RADIUS_M = 6371008.8;
+const METERS_PER_DEGREE = (Math.PI * EARTH_RADIUS_M) / 180;
+const DEFAULT_CELL_SIZE = 0.01;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+class GridIndex {
+  constructor(cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.points = new Map();
+  }
+
+  cellOf(latitude, longitude) {
+    return [
+      Math.floor(latitude / this.cellSize),
+      Math.floor(longitude / this.cellSize),
+    ];
+  }
+
+  insert(id, latitude, longitude) {
+    this.remove(id);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+    const [row, col] = this.cellOf(latitude, longitude);
+    const key = `${row}:${col}`;
+    if (!this.cells.has(key)) this.cells.set(key, new Set());
+    this.cells.get(key).add(id);
+    this.points.set(id, { latitude, longitude, key, row, col });
+  }
+
+  remove(id) {
+    const point = this.points.get(id);
+    if (!point) return;
+    const cell = this.cells.get(point.key);
+    cell.delete(id);
+    if (cell.size === 0) this.cells.delete(point.key);
+    this.points.delete(id);
+  }
+
+  idsInCellRange(minRow, maxRow, minCol, maxCol) {
+    const ids = [];
+    const cellCount = (maxRow - minRow + 1) * (maxCol - minCol + 1);
+
+    // A huge box is cheaper to answer from the occupied cells.
+    if (cellCount > this.cells.size) {
+      this.points.forEach((point, id) => {
+        if (
+          point.row >= minRow && point.row <= maxRow &&
+          point.col >= minCol && point.col <= maxCol
+        ) {
+          ids.push(id);
+        }
+      });
+      return ids;
+    }
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const cell = this.cells.get(`${row}:${col}`);
+        if (cell) ids.push(...cell);
+      }
+    }
+    return ids;
+  }
+
+  /** Ids inside [minLon, minLat, maxLon, maxLat] (RFC 7946 bbox order). */
+  searchBBox([minLon, minLat, maxLon, maxLat]) {
+    const [minRow, minCol] = this.cellOf(minLat, minLon);
+    const [maxRow, maxCol] = this.cellOf(maxLat, maxLon);
+
+    return this.idsInCellRange(minRow, maxRow, minCol, maxCol).filter((id) => {
+      const { latitude, longitude } = this.points.get(id);
+      return (
+        latitude >= minLat && latitude <= maxLat &&
+        longitude >= minLon && longitude <= maxLon
+      );
+    });
+  }
+
+  /** [{ id, distance }] within `radius` meters, closest first. */
+  searchRadius({ latitude, longitude }, radius) {
+    const dLat = radius / METERS_PER_DEGREE;
+    const cosLat = Math.cos(toRadians(Math.min(89.9, Math.abs(latitude) + dLat)));
+    const dLon = Math.min(180, dLat / Math.max(cosLat, 1e-6));
+
+    return this.searchBBox([
+      longitude - dLon,
+      latitude - dLat,
+      longitude + dLon,
+      latitude + dLat,
+    ])
+      .map((id) => ({ id, distance: this.distanceTo(id, latitude, longitude) }))
+      .filter((hit) => hit.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * The `count` closest accepted points, searching outward ring by ring
+   * until no unvisited cell can hold anything closer.
+   */
+  nearest({ latitude, longitude }, count, options = {}) {
+    const { maxDistance = Infinity, accept = () => true } = options;
+    if (this.points.size === 0 || count <= 0) return [];
+
+    const [row0, col0] = this.cellOf(latitude, longitude);
+    let maxRing = 0;
+    this.points.forEach((point) => {
+      maxRing = Math.max(
+        maxRing,
+        Math.abs(point.row - row0),
+        Math.abs(point.col - col0)
+      );
+    });
+
+    const hits = [];
+    for (let ring = 0; ring <= maxRing; ring++) {
+      this.ringIds(row0, col0, ring).forEach((id) => {
+        if (!accept(id)) return;
+        const distance = this.distanceTo(id, latitude, longitude);
+        if (distance <= maxDistance) hits.push({ id, distance });
+      });
+      hits.sort((a, b) => a.distance - b.distance);
+
+      // Anything beyond this ring is at least `ring` whole cells away.
+      const edgeLat = Math.min(89.9, Math.abs(latitude) + (ring + 1) * this.cellSize);
+      const lowerBound =
+        ring * this.cellSize * METERS_PER_DEGREE * Math.cos(toRadians(edgeLat));
+      if (lowerBound > maxDistance) break;
+      if (hits.length >= count && hits[count - 1].distance <= lowerBound) break;
+    }
+    return hits.slice(0, count);
+  }
+
+  ringIds(row0, col0, ring) {
+    if (ring === 0) return this.idsInCellRange(row0, row0, col0, col0);
+
+    // Wide rings around sparse data: check the occupied points directly.
+    if (8 * ring > this.cells.size) {
+      const ids = [];
+      this.points.forEach((point, id) => {
+        const d = Math.max(Math.abs(point.row - row0), Math.abs(point.col - col0));
+        if (d === ring) ids.push(id);
+      });
+      return ids;
+    }
+
+    const ids = [];
+    for (let col = col0 - ring; col <= col0 + ring; col++) {
+      ids.push(...this.idsInCellRange(row0 - ring, row0 - ring, col, col));
+      ids.push(...this.idsInCellRange(row0 + ring, row0 + ring, col, col));
+    }
+    for (let row = row0 - ring + 1; row <= row0 + ring - 1; row++) {
+      ids.push(...this.idsInCellRange(row, row, col0 - ring, col0 - ring));
+      ids.push(...this.idsInCellRange(row, row, col0 + ring, col0 + ring));
+    }
+    return ids;
+  }
+
+  distanceTo(id, latitude, longitude) {
+    const point = this.points.get(id);
+    return haversineDistance(latitude, longitude, point.latitude, point.longitude);
+  }
+}
+
+/**
+ * Resolve a parsed geo query against the index, restricted to `candidateIds`.
+ * Returns a Map of id -> distance in meters (null when no `near` point).
+ */
+function searchSpatial(index, geo, candidateIds) {
+  let allowed = candidateIds;
+  if (geo.bbox) {
+    const inBox = new Set(index.searchBBox(geo.bbox));
+    allowed = new Set([...allowed].filter((id) => inBox.has(id)));
+  }
+
+  if (!geo.near) {
+    return new Map([...allowed].map((id) => [id, null]));
+  }
+
+  const hits = geo.nearest
+    ? index.nearest(geo.near, geo.nearest, {
+        maxDistance: geo.radius,
+        accept: (id) => allowed.has(id),
+      })
+    : index.searchRadius(geo.near, geo.radius).filter((hit) => allowed.has(hit.id));
+
+  return new Map(hits.map((hit) => [hit.id, hit.distance]));
+}
+
+module.exports = {
+  GridIndex,
+  haversineDistance,
+  searchSpatial,
+};
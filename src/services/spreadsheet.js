@@ -0,0 +1,42 @@
+const xlsx = require("xlsx");
+
+const UTF8_BOM = "﻿";
+
+// SheetJS reads a CSV buffer as Latin-1, which garbles Japanese headers.
+// Decode CSV text ourselves: UTF-8 (with or without BOM), falling back to
+// Shift_JIS for files saved from Japanese Excel.
+function decodeCsv(buffer) {
+  try {
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return text.startsWith(UTF8_BOM) ? text.slice(1) : text;
+  } catch {
+    return new TextDecoder("shift_jis").decode(buffer);
+  }
+}
+
+/**
+ * Parse an uploaded .xlsx/.xls/.csv buffer into a SheetJS workbook. CSV
+ * cells stay raw strings so codes like "010006" keep their leading zeros;
+ * with `cellDates`, Excel date cells come back as Date objects.
+ */
+function readWorkbook(buffer, filename = "", options = {}) {
+  if (/\.csv$/i.test(filename)) {
+    return xlsx.read(decodeCsv(buffer), { type: "string", raw: true });
+  }
+  return xlsx.read(buffer, { type: "buffer", cellDates: !!options.cellDates });
+}
+
+/** Rows of the given sheet (default: first) as arrays of cell values. */
+function readSheetRows(workbook, sheetName = workbook.SheetNames[0]) {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found`);
+  }
+  return xlsx.utils.sheet_to_json(sheet, { header: 1, raw: true });
+}
+
+module.exports = {
+  decodeCsv,
+  readWorkbook,
+  readSheetRows,
+};
@@ -0,0 +1,277 @@
+const { planMigration } = require("./schema-migration");
+
+// Compatibility of a template change: which field changes would reject data
+// that validates today, or break consumers of the published dataset (CSV
+// columns headed by label, vocabularies, value types). Fields are matched by
+// fieldKey, so a renamed key shows as one field removed and one added.
+
+// Type changes every stored value survives: the new type accepts it as is.
+const WIDENINGS = {
+  integer: ["number"],
+  latitude: ["number"],
+  longitude: ["number"],
+  controlledVocabulary: ["string"],
+  date: ["string"],
+  datetime: ["string"],
+  time: ["string"],
+  timeRange: ["string"],
+  url: ["string"],
+  email: ["string"],
+};
+
+const GEOFENCE_RANK = { japan: 1, municipality: 2 };
+
+// Breaking when the key is added, changed or removed. New or changed
+// constraints may reject stored values (whether a changed pattern only
+// loosens cannot be told in general); dropping one never does.
+const CONSTRAINT = { added: true, changed: true, removed: false };
+const METADATA = { added: false, changed: false, removed: false };
+const KEY_EFFECTS = {
+  pattern: CONSTRAINT,
+  format: CONSTRAINT,
+  verifyRegistry: CONSTRAINT,
+  requiredWhen: CONSTRAINT,
+  exclusiveWith: CONSTRAINT,
+  compare: CONSTRAINT,
+  patternWhen: CONSTRAINT,
+  // The label heads the column of CSV exports.
+  label: { added: true, changed: true, removed: true },
+  description: METADATA,
+  optionLabels: METADATA,
+  normalize: METADATA,
+  fillPostalCode: METADATA,
+};
+// Handled on their own below.
+const SPECIAL_KEYS = [
+  "fieldKey",
+  "type",
+  "required",
+  "mandatoryMark",
+  "options",
+  "min",
+  "max",
+  "geofence",
+];
+
+function isRequired(field) {
+  return field.required === true || field.mandatoryMark === "◎";
+}
+
+// Comparable form of a field value: patterns by source, false and empty
+// lists as absent.
+function comparable(value) {
+  if (value instanceof RegExp) return value.source;
+  if (value === false || value === null) return undefined;
+  if (Array.isArray(value) && value.length === 0) return undefined;
+  return value;
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function change(fieldKey, code, breaking, reason, details = {}) {
+  return { fieldKey, change: code, breaking, ...details, reason };
+}
+
+function typeChange(before, after) {
+  if (before.type === after.type) return [];
+  const widening = (WIDENINGS[before.type] || []).includes(after.type);
+  return [
+    change(
+      after.fieldKey,
+      "typeChanged",
+      !widening,
+      widening
+        ? "every stored value is valid for the new type"
+        : "stored values and consumers expect the old type",
+      { before: before.type, after: after.type }
+    ),
+  ];
+}
+
+function requiredChange(before, after) {
+  const was = isRequired(before);
+  const is = isRequired(after);
+  if (was === is) return [];
+  return [
+    is
+      ? change(after.fieldKey, "requiredAdded", true, "items without a value no longer validate")
+      : change(after.fieldKey, "requiredRemoved", false, "consumers may now see empty values"),
+  ];
+}
+
+function optionsChange(before, after) {
+  const was = before.options || [];
+  const is = after.options || [];
+  const removed = was.filter((option) => !is.includes(option));
+  const added = is.filter((option) => !was.includes(option));
+  const changes = [];
+  if (removed.length > 0) {
+    changes.push(
+      change(after.fieldKey, "optionsRemoved", true, "items using these options no longer validate", {
+        removed,
+      })
+    );
+  }
+  if (added.length > 0) {
+    changes.push(
+      change(after.fieldKey, "optionsAdded", false, "consumers with a fixed list may meet new values", {
+        added,
+      })
+    );
+  }
+  return changes;
+}
+
+// `direction` is 1 for a lower bound (raising it narrows), -1 for an upper.
+function boundChange(key, direction, before, after) {
+  const was = before[key];
+  const is = after[key];
+  if (was === is) return [];
+  const narrowed =
+    is !== undefined && (was === undefined || (is - was) * direction > 0);
+  return [
+    change(
+      after.fieldKey,
+      `${key}Changed`,
+      narrowed,
+      narrowed ? "the range of accepted values narrowed" : "the range of accepted values widened",
+      { before: was, after: is }
+    ),
+  ];
+}
+
+function geofenceChange(before, after) {
+  const was = GEOFENCE_RANK[before.geofence] || 0;
+  const is = GEOFENCE_RANK[after.geofence] || 0;
+  if (was === is) return [];
+  return [
+    change(
+      after.fieldKey,
+      "geofenceChanged",
+      is > was,
+      is > was ? "points outside the new area no longer validate" : "the accepted area widened",
+      { before: before.geofence, after: after.geofence }
+    ),
+  ];
+}
+
+function keyChanges(before, after) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return keys
+    .filter((key) => !SPECIAL_KEYS.includes(key))
+    .flatMap((key) => {
+      const was = comparable(before[key]);
+      const is = comparable(after[key]);
+      if (same(was, is)) return [];
+      const kind =
+        was === undefined ? "added" : is === undefined ? "removed" : "changed";
+      const effects = KEY_EFFECTS[key] || CONSTRAINT;
+      const breaking = effects[kind];
+      return [
+        change(
+          after.fieldKey,
+          `${key}${kind[0].toUpperCase()}${kind.slice(1)}`,
+          breaking,
+          key === "label"
+            ? "the CSV column header changes"
+            : breaking
+              ? "stored values may no longer validate"
+              : "stored values are unaffected",
+          { before: was, after: is }
+        ),
+      ];
+    });
+}
+
+function fieldChanges(before, after) {
+  return [
+    ...typeChange(before, after),
+    ...requiredChange(before, after),
+    ...optionsChange(before, after),
+    ...boundChange("min", 1, before, after),
+    ...boundChange("max", -1, before, after),
+    ...geofenceChange(before, after),
+    ...keyChanges(before, after),
+  ];
+}
+
+/**
+ * Diff two resolved field lists. Returns { compatible, breakingCount,
+ * changes }, each change { fieldKey, change, breaking, reason, ... }.
+ */
+function diffTemplateFields(fromFields, toFields) {
+  const fromByKey = new Map(fromFields.map((f) => [f.fieldKey, f]));
+  const toKeys = new Set(toFields.map((f) => f.fieldKey));
+  const changes = [];
+
+  toFields.forEach((field) => {
+    const before = fromByKey.get(field.fieldKey);
+    if (!before) {
+      const required = isRequired(field);
+      changes.push(
+        change(
+          field.fieldKey,
+          "fieldAdded",
+          required,
+          required
+            ? "existing items have no value for a required field"
+            : "existing items leave the new field empty"
+        )
+      );
+      return;
+    }
+    changes.push(...fieldChanges(before, field));
+  });
+  fromFields
+    .filter((field) => !toKeys.has(field.fieldKey))
+    .forEach((field) =>
+      changes.push(
+        change(field.fieldKey, "fieldRemoved", true, "consumers lose the column and its values")
+      )
+    );
+
+  const commonFrom = fromFields.map((f) => f.fieldKey).filter((key) => toKeys.has(key));
+  const commonTo = toFields.map((f) => f.fieldKey).filter((key) => fromByKey.has(key));
+  if (!same(commonFrom, commonTo)) {
+    changes.push(
+      change(null, "fieldsReordered", false, "CSV columns move; consumers reading by header are unaffected", {
+        before: commonFrom,
+        after: commonTo,
+      })
+    );
+  }
+
+  const breakingCount = changes.filter((c) => c.breaking).length;
+  return { compatible: breakingCount === 0, breakingCount, changes };
+}
+
+/**
+ * Validate the items of `model` against `fields` without changing them.
+ * Returns { itemCount, failingCount, errorCounts, failing }; errorCounts
+ * tallies failures per fieldKey and error code.
+ */
+function checkItems(model, fields, items, { limit = 50 } = {}) {
+  const { nonCompliant } = planMigration(model, fields, (content) => content, items);
+  const counts = new Map();
+  nonCompliant.forEach(({ errors }) =>
+    errors.forEach(({ fieldKey, code }) => {
+      const key = `${fieldKey}\u0000${code}`;
+      const entry = counts.get(key) || { fieldKey, code, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    })
+  );
+  return {
+    itemCount: items.length,
+    failingCount: nonCompliant.length,
+    errorCounts: [...counts.values()].sort((a, b) => b.count - a.count),
+    failing: nonCompliant.slice(0, limit),
+  };
+}
+
+module.exports = {
+  diffTemplateFields,
+  checkItems,
+};
@@ -0,0 +1,614 @@
+const YAML = require("yaml");
+const { timeRegex, timeRangeRegex } = require("../validation");
+
+// Templates as JSON Schema (draft 2020-12, one object per item), Frictionless
+// Table Schema (the columns of export.csv) and ckanext-scheming YAML (CKAN
+// form fields). Each format expresses what it can natively: required / ◎,
+// pattern, options and coordinate bounds. Everything else about a field
+// (its ACE type, mandatoryMark, normalizers, rules, ...) travels in an
+// "x-ace" object, so an exported template imports back unchanged; files
+// from other tools are imported by inferring types from the native keys.
+const FORMATS = ["json-schema", "table-schema", "ckan-scheming"];
+const HEADER_STYLES = ["label", "fieldKey"];
+const SCHEMING_KINDS = ["dataset", "resource"];
+
+const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+const EXTENSION = "x-ace";
+// Field keys every format maps natively; the rest go into x-ace.
+const NATIVE_KEYS = [
+  "fieldKey",
+  "label",
+  "description",
+  "type",
+  "pattern",
+  "options",
+  "min",
+  "max",
+];
+const COORDINATE_BOUNDS = { latitude: 90, longitude: 180 };
+// Built-in string patterns of a type, not worth carrying as a field pattern.
+const TYPE_PATTERNS = {
+  time: timeRegex.source,
+  timeRange: timeRangeRegex.source,
+  url: "^https?://",
+};
+const LIST_DELIMITER = ",";
+
+function isRequired(field) {
+  return Boolean(field.required) || field.mandatoryMark === "◎";
+}
+
+function patternSource(pattern) {
+  return pattern instanceof RegExp ? pattern.source : pattern;
+}
+
+// `unexpressed` lists native keys the format could not place for this field.
+function extensionOf(field, unexpressed = []) {
+  const extension = { type: field.type };
+  Object.entries(field)
+    .filter(([key]) => !NATIVE_KEYS.includes(key) || unexpressed.includes(key))
+    .forEach(([key, value]) => {
+      extension[key] = key === "pattern" ? patternSource(value) : value;
+    });
+  return extension;
+}
+
+// Template-level keys no format has a place for.
+function templateExtension(template) {
+  return {
+    id: template.id,
+    version: template.version || 1,
+    oneClickRigor: template.oneClickRigor || false,
+  };
+}
+
+function numericBounds(field) {
+  if (COORDINATE_BOUNDS[field.type]) {
+    const bound = COORDINATE_BOUNDS[field.type];
+    return { min: -bound, max: bound };
+  }
+  return { min: field.min, max: field.max };
+}
+
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+}
+
+// --- JSON Schema ---------------------------------------------------------
+
+function jsonSchemaProperty(field) {
+  const { min, max } = numericBounds(field);
+  const pattern = patternSource(field.pattern) || TYPE_PATTERNS[field.type];
+  const byType = {
+    number: { type: "number", minimum: min, maximum: max },
+    integer: { type: "integer", minimum: min, maximum: max },
+    latitude: { type: "number", minimum: min, maximum: max },
+    longitude: { type: "number", minimum: min, maximum: max },
+    boolean: { type: "boolean" },
+    date: { type: "string", format: "date", pattern },
+    datetime: { type: "string", format: "date-time", pattern },
+    url: { type: "string", format: "uri", pattern },
+    email: { type: "string", format: "email", pattern },
+    controlledVocabulary: { type: "string", enum: field.options },
+    multiControlledVocabulary: {
+      type: "array",
+      items: { type: "string", enum: field.options },
+      uniqueItems: true,
+    },
+  };
+  return compact({
+    title: field.label,
+    description: field.description || undefined,
+    ...(byType[field.type] || { type: "string", pattern }),
+    [EXTENSION]: extensionOf(field),
+  });
+}
+
+function toJsonSchema(template) {
+  const properties = {};
+  template.fields.forEach((field) => {
+    properties[field.fieldKey] = jsonSchemaProperty(field);
+  });
+  return compact({
+    $schema: JSON_SCHEMA_DIALECT,
+    $id: `urn:ace:template:${template.id}:${template.version || 1}`,
+    title: template.label,
+    description: template.description || undefined,
+    type: "object",
+    properties,
+    required: template.fields.filter(isRequired).map((f) => f.fieldKey),
+    [EXTENSION]: templateExtension(template),
+  });
+}
+
+function firstType(type) {
+  return Array.isArray(type) ? type.find((t) => t !== "null") : type;
+}
+
+function jsonSchemaType(property) {
+  const type = firstType(property.type);
+  if (type === "array") {
+    return property.items && property.items.enum
+      ? "multiControlledVocabulary"
+      : null;
+  }
+  if (property.enum) return "controlledVocabulary";
+  if (type === "integer" || type === "number" || type === "boolean") return type;
+  if (type === "string" || type === undefined) {
+    const byFormat = {
+      date: "date",
+      "date-time": "datetime",
+      uri: "url",
+      email: "email",
+      time: "time",
+    };
+    return byFormat[property.format] || "string";
+  }
+  return null;
+}
+
+function fromJsonSchema(doc, warnings) {
+  if (!doc || typeof doc !== "object" || !doc.properties) {
+    throw new Error("JSON Schema needs an object with properties");
+  }
+  const required = Array.isArray(doc.required) ? doc.required : [];
+  const fields = Object.entries(doc.properties).map(([fieldKey, property]) => {
+    const items = property.items || {};
+    return importField(
+      {
+        fieldKey,
+        label: property.title,
+        description: property.description,
+        type: jsonSchemaType(property),
+        declaredType: firstType(property.type),
+        required: required.includes(fieldKey),
+        pattern: property.pattern,
+        options: property.enum || items.enum,
+        min: property.minimum,
+        max: property.maximum,
+      },
+      property[EXTENSION],
+      warnings
+    );
+  });
+  const extension = doc[EXTENSION] || {};
+  return {
+    id: extension.id || idFromUrn(doc.$id),
+    oneClickRigor: extension.oneClickRigor,
+    label: doc.title,
+    description: doc.description,
+    fields,
+  };
+}
+
+function idFromUrn(uri) {
+  const match = typeof uri === "string" && uri.match(/^urn:ace:template:([a-z0-9-]+)/);
+  return match ? match[1] : undefined;
+}
+
+// --- Frictionless Table Schema -------------------------------------------
+
+function tableSchemaField(field, header) {
+  const { min, max } = numericBounds(field);
+  const pattern = patternSource(field.pattern) || TYPE_PATTERNS[field.type];
+  const byType = {
+    number: { type: "number" },
+    integer: { type: "integer" },
+    latitude: { type: "number" },
+    longitude: { type: "number" },
+    boolean: { type: "boolean" },
+    date: { type: "date" },
+    datetime: { type: "datetime" },
+    time: { type: "time", format: "%H:%M" },
+    url: { type: "string", format: "uri" },
+    email: { type: "string", format: "email" },
+    multiControlledVocabulary: {
+      type: "list",
+      delimiter: LIST_DELIMITER,
+      itemType: "string",
+    },
+  };
+  const typed = byType[field.type] || { type: "string" };
+  const unexpressed = [];
+  if (field.pattern && typed.type !== "string") unexpressed.push("pattern");
+  // Options of a list have no native Table Schema constraint.
+  if (field.type === "multiControlledVocabulary") unexpressed.push("options");
+  const constraints = compact({
+    required: isRequired(field) || undefined,
+    pattern: typed.type === "string" ? pattern : undefined,
+    enum: field.type === "controlledVocabulary" ? field.options : undefined,
+    minimum: min,
+    maximum: max,
+  });
+  return compact({
+    name: header === "label" ? field.label : field.fieldKey,
+    title: field.label,
+    description: field.description || undefined,
+    ...typed,
+    constraints: Object.keys(constraints).length > 0 ? constraints : undefined,
+    [EXTENSION]: {
+      ...(header === "label" ? { fieldKey: field.fieldKey } : {}),
+      ...extensionOf(field, unexpressed),
+    },
+  });
+}
+
+/** `header` names the columns like export.csv (label or fieldKey). */
+function toTableSchema(template, { header = "label" } = {}) {
+  const fields = template.fields.map((field) => tableSchemaField(field, header));
+  const identifier = template.fields.find((f) => f.fieldKey === "identifier");
+  return compact({
+    $schema: "https://datapackage.org/profiles/2.0/tableschema.json",
+    title: template.label,
+    description: template.description || undefined,
+    fields,
+    primaryKey: identifier
+      ? [header === "label" ? identifier.label : identifier.fieldKey]
+      : undefined,
+    missingValues: [""],
+    [EXTENSION]: templateExtension(template),
+  });
+}
+
+function tableSchemaType(field) {
+  const byType = {
+    number: "number",
+    integer: "integer",
+    boolean: "boolean",
+    date: "date",
+    datetime: "datetime",
+    time: "time",
+    list: "multiControlledVocabulary",
+  };
+  const constraints = field.constraints || {};
+  if (field.type === "string" || field.type === undefined) {
+    if (constraints.enum) return "controlledVocabulary";
+    if (field.format === "uri") return "url";
+    if (field.format === "email") return "email";
+    return "string";
+  }
+  return byType[field.type] || null;
+}
+
+function fromTableSchema(doc, warnings) {
+  if (!doc || typeof doc !== "object" || !Array.isArray(doc.fields)) {
+    throw new Error("Table Schema needs a fields array");
+  }
+  const fields = doc.fields.map((field) => {
+    const constraints = field.constraints || {};
+    const extension = field[EXTENSION] || {};
+    return importField(
+      {
+        fieldKey: extension.fieldKey || field.name,
+        label: field.title || field.name,
+        description: field.description,
+        type: tableSchemaType(field),
+        declaredType: field.type,
+        required: constraints.required,
+        pattern: constraints.pattern,
+        options: constraints.enum,
+        min: constraints.minimum,
+        max: constraints.maximum,
+      },
+      extension,
+      warnings
+    );
+  });
+  const extension = doc[EXTENSION] || {};
+  return {
+    id: extension.id,
+    oneClickRigor: extension.oneClickRigor,
+    label: doc.title,
+    description: doc.description,
+    fields,
+  };
+}
+
+// --- ckanext-scheming ----------------------------------------------------
+
+// CKAN's own fields. The template's `name` (名称) takes the place of the
+// dataset title or resource name; other template fields clashing with a
+// core field are prefixed with "ace_".
+const SCHEMING_CORE = {
+  dataset: [
+    { field_name: "title", label: "Title", preset: "title" },
+    { field_name: "name", label: "URL", preset: "dataset_slug" },
+    { field_name: "notes", label: "Description", form_snippet: "markdown.html" },
+    { field_name: "owner_org", label: "Organization", preset: "dataset_organization" },
+  ],
+  resource: [
+    { field_name: "url", label: "URL", preset: "resource_url_upload" },
+    { field_name: "name", label: "Name" },
+    { field_name: "description", label: "Description", form_snippet: "markdown.html" },
+    { field_name: "format", label: "Format", preset: "resource_format_autocomplete" },
+  ],
+};
+const SCHEMING_NAME_FIELD = { dataset: "title", resource: "name" };
+const CORE_PRESETS = [
+  "title",
+  "dataset_slug",
+  "dataset_organization",
+  "resource_url_upload",
+  "resource_format_autocomplete",
+];
+
+function choicesOf(field) {
+  const labels = field.optionLabels || {};
+  return (field.options || []).map((value) => ({ value, label: labels[value] || value }));
+}
+
+function schemingField(field, fieldName) {
+  const required = isRequired(field);
+  const { min, max } = numericBounds(field);
+  const pattern = patternSource(field.pattern) || TYPE_PATTERNS[field.type];
+  const validators = (...names) =>
+    [required ? "scheming_required" : "ignore_missing", ...names].join(" ");
+  const numberAttrs = (step) =>
+    compact({ type: "number", min, max, step });
+
+  const byType = {
+    controlledVocabulary: { preset: "select", choices: choicesOf(field) },
+    multiControlledVocabulary: {
+      preset: "multiple_checkbox",
+      choices: choicesOf(field),
+    },
+    date: { preset: "date" },
+    datetime: { preset: "datetime_tz" },
+    boolean: {
+      form_snippet: "select.html",
+      display_snippet: "select.html",
+      choices: [
+        { value: "true", label: "true" },
+        { value: "false", label: "false" },
+      ],
+      validators: validators("boolean_validator"),
+    },
+    integer: { form_attrs: numberAttrs(1), validators: validators("int_validator") },
+    number: { form_attrs: numberAttrs("any") },
+    latitude: { form_attrs: numberAttrs("any") },
+    longitude: { form_attrs: numberAttrs("any") },
+    time: { form_attrs: { type: "time" } },
+    url: {
+      display_snippet: "link.html",
+      form_attrs: { type: "url" },
+      validators: validators("url_validator"),
+    },
+    email: {
+      display_snippet: "email.html",
+      form_attrs: { type: "email" },
+      validators: validators("email_validator"),
+    },
+  };
+  const typed = byType[field.type] || {};
+  const unexpressed = [];
+  if (pattern && !typed.preset && field.type !== "boolean") {
+    typed.form_attrs = { ...(typed.form_attrs || {}), pattern };
+  } else if (field.pattern) {
+    unexpressed.push("pattern");
+  }
+  return compact({
+    field_name: fieldName,
+    label: field.label,
+    help_text: field.description || undefined,
+    required: required || undefined,
+    ...typed,
+    [EXTENSION]: {
+      ...(fieldName !== field.fieldKey ? { fieldKey: field.fieldKey } : {}),
+      ...extensionOf(field, unexpressed),
+    },
+  });
+}
+
+// Template fields keep their order (it is the CSV column order), so the
+// core field standing in for `name` moves to where `name` is.
+function schemingFields(template, kind) {
+  const core = SCHEMING_CORE[kind];
+  const coreNames = core.map((f) => f.field_name);
+  const nameCore = core.find((f) => f.field_name === SCHEMING_NAME_FIELD[kind]);
+  const hasName = template.fields.some((f) => f.fieldKey === "name");
+  const fields = core.filter((f) => !hasName || f !== nameCore);
+  template.fields.forEach((field) => {
+    if (field.fieldKey === "name") {
+      const { [EXTENSION]: extension, ...rest } = schemingField(
+        field,
+        nameCore.field_name
+      );
+      fields.push({ ...rest, preset: nameCore.preset, [EXTENSION]: extension });
+      return;
+    }
+    const fieldName = coreNames.includes(field.fieldKey)
+      ? `ace_${field.fieldKey}`
+      : field.fieldKey;
+    fields.push(schemingField(field, fieldName));
+  });
+  return fields.map(compact);
+}
+
+/** `kind` picks where the template's fields go: dataset or resource. */
+function toSchemingYaml(template, { kind = "dataset" } = {}) {
+  const fields = {
+    ...Object.fromEntries(SCHEMING_KINDS.map((k) => [k, SCHEMING_CORE[k]])),
+    [kind]: schemingFields(template, kind),
+  };
+  const schema = compact({
+    scheming_version: 2,
+    dataset_type: template.id,
+    about: template.label,
+    // scheming has no place for a description of the schema itself.
+    [EXTENSION]: compact({
+      ...templateExtension(template),
+      description: template.description || undefined,
+      kind,
+    }),
+    dataset_fields: fields.dataset,
+    resource_fields: fields.resource,
+  });
+  return YAML.stringify(schema, { lineWidth: 0 });
+}
+
+function schemingLabel(label) {
+  if (label && typeof label === "object") {
+    return label.ja || label.en || Object.values(label)[0];
+  }
+  return label;
+}
+
+function schemingType(field) {
+  const validators = String(field.validators || "").split(/\s+/);
+  const attrs = field.form_attrs || {};
+  if (field.preset === "select" || field.preset === "radio") {
+    return "controlledVocabulary";
+  }
+  if (["multiple_checkbox", "multiple_select", "tag_string_autocomplete"].includes(field.preset)) {
+    return "multiControlledVocabulary";
+  }
+  if (field.preset === "date") return "date";
+  if (field.preset === "datetime" || field.preset === "datetime_tz") return "datetime";
+  if (validators.includes("boolean_validator")) return "boolean";
+  if (validators.includes("int_validator")) return "integer";
+  if (validators.includes("url_validator") || attrs.type === "url") return "url";
+  if (validators.includes("email_validator") || attrs.type === "email") return "email";
+  if (attrs.type === "number") return attrs.step === 1 ? "integer" : "number";
+  if (attrs.type === "time") return "time";
+  if (Array.isArray(field.choices)) return "controlledVocabulary";
+  return "string";
+}
+
+function isCoreField(field, coreNames) {
+  if (field[EXTENSION]) return false;
+  return CORE_PRESETS.includes(field.preset) || coreNames.includes(field.field_name);
+}
+
+function fromSchemingYaml(doc, warnings) {
+  if (!doc || typeof doc !== "object") {
+    throw new Error("ckanext-scheming schema must be a YAML mapping");
+  }
+  const fields = [];
+  SCHEMING_KINDS.forEach((kind) => {
+    const coreNames = SCHEMING_CORE[kind].map((f) => f.field_name);
+    (doc[`${kind}_fields`] || [])
+      .filter((field) => !isCoreField(field, coreNames))
+      .forEach((field) => {
+        const extension = field[EXTENSION] || {};
+        const attrs = field.form_attrs || {};
+        const validators = String(field.validators || "").split(/\s+/);
+        const choices = Array.isArray(field.choices) ? field.choices : [];
+        const type = schemingType(field);
+        const optionLabels = {};
+        choices
+          .filter((c) => schemingLabel(c.label) && schemingLabel(c.label) !== String(c.value))
+          .forEach((c) => {
+            optionLabels[String(c.value)] = schemingLabel(c.label);
+          });
+        fields.push(
+          importField(
+            {
+              fieldKey: extension.fieldKey || field.field_name,
+              label: schemingLabel(field.label) || field.field_name,
+              description: schemingLabel(field.help_text),
+              type,
+              declaredType: type,
+              required:
+                Boolean(field.required) ||
+                validators.includes("scheming_required") ||
+                validators.includes("not_empty"),
+              pattern: attrs.pattern,
+              options:
+                type === "boolean" ? undefined : choices.map((c) => String(c.value)),
+              min: attrs.min,
+              max: attrs.max,
+            },
+            {
+              ...(Object.keys(optionLabels).length > 0 && type !== "boolean"
+                ? { optionLabels }
+                : {}),
+              ...extension,
+            },
+            warnings
+          )
+        );
+      });
+  });
+  const extension = doc[EXTENSION] || {};
+  return {
+    id: extension.id || doc.dataset_type,
+    oneClickRigor: extension.oneClickRigor,
+    label: schemingLabel(doc.about) || doc.dataset_type,
+    description: extension.description,
+    fields,
+  };
+}
+
+// --- import --------------------------------------------------------------
+
+// Build a template field from what a format says natively (`native`) and
+// the x-ace extension, which wins where both speak.
+function importField(native, extension = {}, warnings) {
+  const { fieldKey: _key, ...rest } = extension;
+  let type = rest.type || native.type;
+  if (!type) {
+    warnings.push(
+      `${native.fieldKey}: type ${JSON.stringify(native.declaredType)} is not supported, imported as string`
+    );
+    type = "string";
+  }
+  const field = { fieldKey: native.fieldKey, label: native.label || native.fieldKey };
+  if (native.description) field.description = native.description;
+  field.type = type;
+  field.required = Boolean(native.required);
+
+  if (native.pattern && native.pattern !== TYPE_PATTERNS[type]) {
+    field.pattern = native.pattern;
+  }
+  const options = rest.options || native.options;
+  if (
+    (type === "controlledVocabulary" || type === "multiControlledVocabulary") &&
+    Array.isArray(options)
+  ) {
+    field.options = options.map(String);
+  }
+  if ((type === "number" || type === "integer") && native.min !== undefined) {
+    field.min = Number(native.min);
+  }
+  if ((type === "number" || type === "integer") && native.max !== undefined) {
+    field.max = Number(native.max);
+  }
+  Object.entries(rest)
+    .filter(([key]) => key !== "type" && key !== "options")
+    .forEach(([key, value]) => {
+      field[key] = value;
+    });
+  return field;
+}
+
+function exportTemplate(template, format, options = {}) {
+  if (format === "json-schema") return toJsonSchema(template);
+  if (format === "table-schema") return toTableSchema(template, options);
+  return toSchemingYaml(template, options);
+}
+
+/**
+ * Template definition ({ id?, label, description, fields }) from a document
+ * in `format` (parsed, or JSON / YAML text), plus warnings for anything that
+ * did not map. Throws when the document is not of that format at all.
+ */
+function importTemplate(input, format) {
+  // YAML is a superset of JSON, so one parser reads every format.
+  const doc = typeof input === "string" ? YAML.parse(input) : input;
+  const warnings = [];
+  let definition;
+  if (format === "json-schema") definition = fromJsonSchema(doc, warnings);
+  else if (format === "table-schema") definition = fromTableSchema(doc, warnings);
+  else definition = fromSchemingYaml(doc, warnings);
+  return { definition: compact(definition), warnings };
+}
+
+module.exports = {
+  FORMATS,
+  HEADER_STYLES,
+  SCHEMING_KINDS,
+  exportTemplate,
+  importTemplate,
+};
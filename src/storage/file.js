@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+const { MemoryCollection, MemoryDriver } = require("./memory");
+const { serialize, deserialize } = require("./serialization");
+
+// The log is folded into the snapshot once it holds this many records and
+// more than twice as many as the collection has entries.
+const MIN_COMPACT_RECORDS = 1000;
+
+/**
+ * One collection as a snapshot (`<name>.json`, [key, value] pairs to keep
+ * insertion order) plus an append-only log of later mutations
+ * (`<name>.jsonl`, one { op, key, value } record per line). A mutation
+ * appends one line, so bulk imports cost O(rows) instead of rewriting the
+ * whole collection per row; the log is replayed on load and compacted into
+ * the snapshot (tmp + rename) as it grows.
+ */
+class FileCollection extends MemoryCollection {
+  constructor(name, filePath) {
+    const { entries, records, torn } = FileCollection.load(filePath);
+    super(name, entries);
+    this.filePath = filePath;
+    this.logPath = FileCollection.logPathOf(filePath);
+    this.records = records;
+    // Appending after a torn line would corrupt the next one as well.
+    if (torn) this.compact();
+  }
+
+  static logPathOf(filePath) {
+    return filePath.replace(/\.json$/, ".jsonl");
+  }
+
+  static load(filePath) {
+    const text = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : "";
+    const map = new Map(text.trim() ? deserialize(text) : []);
+    const logPath = FileCollection.logPathOf(filePath);
+    const lines = fs.existsSync(logPath)
+      ? fs.readFileSync(logPath, "utf8").split("\n").filter(Boolean)
+      : [];
+    let torn = false;
+    lines.forEach((line, index) => {
+      let record;
+      try {
+        record = deserialize(line);
+      } catch (error) {
+        // A crash mid-append leaves a torn last line; anything else is damage.
+        if (index !== lines.length - 1) throw error;
+        torn = true;
+        return;
+      }
+      if (record.op === "set") map.set(record.key, record.value);
+      else if (record.op === "delete") map.delete(record.key);
+      else if (record.op === "clear") map.clear();
+    });
+    return { entries: [...map.entries()], records: lines.length, torn };
+  }
+
+  record(record) {
+    fs.appendFileSync(this.logPath, `${serialize(record, 0)}\n`);
+    this.records += 1;
+    if (
+      this.records >= MIN_COMPACT_RECORDS &&
+      this.records > 2 * this.map.size
+    ) {
+      this.compact();
+    }
+  }
+
+  // Replaying the log over a newer snapshot gives the same state, so a crash
+  // between the rename and the truncation loses nothing.
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, serialize(this.entries()));
+    fs.renameSync(tmpPath, this.filePath);
+    fs.writeFileSync(this.logPath, "");
+    this.records = 0;
+  }
+}
+
+class FileDriver extends MemoryDriver {
+  constructor(config = {}) {
+    super();
+    this.name = "file";
+    this.dir = path.resolve(config.dir || process.env.STORAGE_DIR || "data");
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  createCollection(name) {
+    const fileName = `${encodeURIComponent(name)}.json`;
+    return new FileCollection(name, path.join(this.dir, fileName));
+  }
+}
+
+module.exports = {
+  FileCollection,
+  FileDriver,
+};
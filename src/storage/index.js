@@ -0,0 +1,28 @@
+const { MemoryDriver } = require("./memory");
+const { FileDriver } = require("./file");
+
+// STORAGE_DRIVER=memory (default) keeps the prototype behaviour;
+// STORAGE_DRIVER=file persists every collection under STORAGE_DIR.
+function createDriver(config = {}) {
+  const driverName = config.driver || process.env.STORAGE_DRIVER || "memory";
+  if (driverName === "memory") return new MemoryDriver();
+  if (driverName === "file") return new FileDriver(config);
+  throw new Error(`Unknown STORAGE_DRIVER: ${driverName}`);
+}
+
+let driver = null;
+
+function getDriver() {
+  if (!driver) driver = createDriver();
+  return driver;
+}
+
+function getCollection(name) {
+  return getDriver().collection(name);
+}
+
+module.exports = {
+  createDriver,
+  getDriver,
+  getCollection,
+};
@@ -0,0 +1,78 @@
+/**
+ * Map-backed collection. The other drivers extend it and record every
+ * mutation, so callers must `set` a value again after changing it.
+ */
+class MemoryCollection {
+  constructor(name, entries = []) {
+    this.name = name;
+    this.map = new Map(entries);
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  has(key) {
+    return this.map.has(key);
+  }
+
+  get(key) {
+    return this.map.get(key);
+  }
+
+  set(key, value) {
+    this.map.set(key, value);
+    this.record({ op: "set", key, value });
+    return value;
+  }
+
+  delete(key) {
+    const deleted = this.map.delete(key);
+    if (deleted) this.record({ op: "delete", key });
+    return deleted;
+  }
+
+  clear() {
+    this.map.clear();
+    this.record({ op: "clear" });
+  }
+
+  keys() {
+    return [...this.map.keys()];
+  }
+
+  values() {
+    return [...this.map.values()];
+  }
+
+  entries() {
+    return [...this.map.entries()];
+  }
+
+  // Called with { op: "set" | "delete" | "clear", key?, value? } after
+  // each mutation.
+  record() {}
+}
+
+class MemoryDriver {
+  constructor() {
+    this.name = "memory";
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, this.createCollection(name));
+    }
+    return this.collections.get(name);
+  }
+
+  createCollection(name) {
+    return new MemoryCollection(name);
+  }
+}
+
+module.exports = {
+  MemoryCollection,
+  MemoryDriver,
+};
@@ -0,0 +1,35 @@
+// JSON does not know RegExp, but template fields carry `pattern` as RegExp
+// objects. Encode them as tagged objects so they survive a disk round-trip.
+const REGEXP_TAG = "$regexp";
+
+function replacer(_key, value) {
+  if (value instanceof RegExp) {
+    return { [REGEXP_TAG]: value.source, flags: value.flags };
+  }
+  return value;
+}
+
+function reviver(_key, value) {
+  if (
+    value &&
+    typeof value === "object" &&
+    typeof value[REGEXP_TAG] === "string"
+  ) {
+    return new RegExp(value[REGEXP_TAG], value.flags || "");
+  }
+  return value;
+}
+
+// `space` 0 gives one line, as the file driver's log needs.
+function serialize(value, space = 2) {
+  return JSON.stringify(value, replacer, space);
+}
+
+function deserialize(text) {
+  return JSON.parse(text, reviver);
+}
+
+module.exports = {
+  serialize,
+  deserialize,
+};
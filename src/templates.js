@@ -1,269 +1,231 @@
-const templates = [
-  {
-    id: "public-facilities",
-    label: "公共施設一覧 / Public Facilities List",
-    oneClickRigor: true,
-    description:
-      "Pre-built GIF-compliant schema for municipal public facilities. Required items follow the standard recommended dataset.",
-    fields: [
-      {
-        fieldKey: "localGovernmentCode",
-        label: "全国地方公共団体コード",
-        description: "6-digit local government code (半角数字).",
-        type: "string",
-        required: true,
-        pattern: /^[0-9]{6}$/,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "identifier",
-        label: "ID",
-        description: "Record identifier (半角英数字).",
-        type: "string",
-        required: true,
-        pattern: /^[A-Za-z0-9_-]+$/,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "name",
-        label: "名称",
-        description: "Facility name.",
-        type: "string",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "nameEn",
-        label: "名称_英語",
-        description: "Facility name (English).",
-        type: "string",
-        required: false,
-      },
-      {
-        fieldKey: "address",
-        label: "住所",
-        description: "Structured address string.",
-        type: "string",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "postalCode",
-        label: "郵便番号",
-        description: "7-digit postal code.",
-        type: "string",
-        required: false,
-        pattern: /^[0-9]{7}$/,
-      },
-      {
-        fieldKey: "phoneNumber",
-        label: "電話番号",
-        description: "Contact phone (半角).",
-        type: "string",
-        required: false,
-      },
-      {
-        fieldKey: "facilityType",
-        label: "施設分類",
-        description: "統制語彙による施設分類。",
-        type: "controlledVocabulary",
-        required: true,
-        mandatoryMark: "◎",
-        options: [
-          "cityOffice",
-          "library",
-          "communityCenter",
-          "park",
-          "gymnasium",
-          "museum",
-          "other",
-        ],
-      },
-      {
-        fieldKey: "administrator",
-        label: "管理者",
-        description: "Operating department or organization.",
-        type: "string",
-        required: false,
-      },
-      {
-        fieldKey: "latitude",
-        label: "緯度",
-        description: "GIF Core Data Parts latitude.",
-        type: "latitude",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "longitude",
-        label: "経度",
-        description: "GIF Core Data Parts longitude.",
-        type: "longitude",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "datasetUpdatedAt",
-        label: "データセット_最終更新日",
-        description: "YYYY-MM-DD",
-        type: "date",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "note",
-        label: "備考",
-        description: "Free-form notes.",
-        type: "string",
-        required: false,
-      },
-    ],
-  },
-  {
-    id: "aed-locations",
-    label: "AED設置箇所一覧 / AED Locations List",
-    oneClickRigor: true,
-    description:
-      "GIF-compliant schema for AED location open data with controlled vocabularies for mandatory choice fields.",
-    fields: [
-      {
-        fieldKey: "localGovernmentCode",
-        label: "全国地方公共団体コード",
-        description: "6-digit local government code (半角数字).",
-        type: "string",
-        required: true,
-        pattern: /^[0-9]{6}$/,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "identifier",
-        label: "ID",
-        description: "Record identifier (半角英数字).",
-        type: "string",
-        required: true,
-        pattern: /^[A-Za-z0-9_-]+$/,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "name",
-        label: "名称",
-        description: "Installation name.",
-        type: "string",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "address",
-        label: "住所",
-        description: "Structured address string.",
-        type: "string",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "installationPlace",
-        label: "設置場所詳細",
-        description: "Floor, room, or descriptive placement.",
-        type: "string",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "availableHours",
-        label: "利用可能時間",
-        description: "Opening hours text (例: 09:00-18:00 / 24H).",
-        type: "string",
-        required: false,
-      },
-      {
-        fieldKey: "pediatricSupport",
-        label: "小児対応設備の有無",
-        description: "Mandatory controlled vocabulary (yes/no).",
-        type: "controlledVocabulary",
-        required: true,
-        mandatoryMark: "◎",
-        options: ["yes", "no"],
-      },
-      {
-        fieldKey: "availability",
-        label: "利用可能曜日",
-        description: "統制語彙 (weekday, weekend, holiday, allDays).",
-        type: "controlledVocabulary",
-        required: false,
-        options: ["weekday", "weekend", "holiday", "allDays"],
-      },
-      {
-        fieldKey: "contactPhone",
-        label: "問い合わせ先電話番号",
-        description: "Contact phone (半角).",
-        type: "string",
-        required: false,
-      },
-      {
-        fieldKey: "latitude",
-        label: "緯度",
-        description: "GIF Core Data Parts latitude.",
-        type: "latitude",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "longitude",
-        label: "経度",
-        description: "GIF Core Data Parts longitude.",
-        type: "longitude",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "datasetUpdatedAt",
-        label: "データセット_最終更新日",
-        description: "YYYY-MM-DD",
-        type: "date",
-        required: true,
-        mandatoryMark: "◎",
-      },
-      {
-        fieldKey: "note",
-        label: "備考",
-        description: "Free-form notes.",
-        type: "string",
-        required: false,
-      },
-    ],
-  },
-];
+const fs = require("fs");
+const path = require("path");
+const { getCollection } = require("./storage");
+const { serialize } = require("./storage/serialization");
+const {
+  isGroupReference,
+  usesFieldGroups,
+  resolveFields,
+} = require("./services/field-groups");
+
+// Built-in 標準データセット templates ship with the code as one JSON file
+// per template under src/data/templates (`pattern` is a regex source string
+// there) and are read-only; templates created through excel-to-schema or
+// PUT /v1/model-templates/:id are kept in storage, with every version of
+// their definition, so they survive restarts. Fields may come from shared
+// field groups (see services/field-groups.js); every getter returns the
+// template resolved, with the stored list under `composedFrom`.
+const TEMPLATE_DIR = path.join(__dirname, "data/templates");
+
+function loadBuiltInTemplates() {
+  return fs
+    .readdirSync(TEMPLATE_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => {
+      const template = JSON.parse(
+        fs.readFileSync(path.join(TEMPLATE_DIR, file), "utf8")
+      );
+      template.fields.forEach((entry) => {
+        const fields = isGroupReference(entry)
+          ? Object.values(entry.override || {})
+          : [entry];
+        fields.forEach((field) => {
+          if (field.pattern) field.pattern = new RegExp(field.pattern);
+        });
+      });
+      const resolved = resolveTemplate(template);
+      if (resolved.compositionErrors.length > 0) {
+        throw new Error(
+          `${file}: ${resolved.compositionErrors[0].messages.en}`
+        );
+      }
+      return withoutCompositionErrors(resolved);
+    });
+}
+
+function resolveTemplate(template) {
+  if (!usesFieldGroups(template.fields)) {
+    return { ...template, compositionErrors: [] };
+  }
+  const { fields, errors } = resolveFields(template.fields);
+  return {
+    ...template,
+    fields,
+    composedFrom: template.fields,
+    compositionErrors: errors,
+  };
+}
+
+function withoutCompositionErrors({ compositionErrors: _errors, ...template }) {
+  return template;
+}
+
+// Stored templates resolve leniently: a group change never breaks reads.
+function resolveStored(template) {
+  return template && withoutCompositionErrors(resolveTemplate(template));
+}
+
+const templates = loadBuiltInTemplates();
+
+const customTemplates = getCollection("templates");
+
+// What a template version pins: everything but the id and bookkeeping.
+function definitionOf(template) {
+  return {
+    label: template.label,
+    description: template.description || "",
+    oneClickRigor: template.oneClickRigor || false,
+    fields: template.fields || [],
+  };
+}
 
 function getTemplates() {
-  return templates;
+  return [...templates, ...customTemplates.values().map(resolveStored)];
 }
 
 function getTemplateById(id) {
-  return templates.find((tpl) => tpl.id === id);
+  return (
+    templates.find((tpl) => tpl.id === id) ||
+    resolveStored(customTemplates.get(id))
+  );
+}
+
+function jsonField(field) {
+  return field.pattern instanceof RegExp
+    ? { ...field, pattern: field.pattern.source }
+    : field;
+}
+
+/**
+ * Fields (or field group references) with `pattern` as its source string,
+ * so a GET body can be edited and PUT back.
+ */
+function toJsonFields(fields) {
+  return fields.map((entry) =>
+    isGroupReference(entry) && entry.override
+      ? {
+          ...entry,
+          override: Object.fromEntries(
+            Object.entries(entry.override).map(([key, field]) => [
+              key,
+              jsonField(field),
+            ])
+          ),
+        }
+      : jsonField(entry)
+  );
+}
+
+function isBuiltInTemplate(id) {
+  return templates.some((tpl) => tpl.id === id);
+}
+
+// Built-ins and templates stored before versioning have a single version 1.
+function storedVersions(template) {
+  if (template.versions) return template.versions;
+  return [
+    {
+      version: 1,
+      ...definitionOf(template),
+      createdAt: template.generatedAt || null,
+      actor: null,
+    },
+  ];
 }
 
-function addTemplate(template) {
+/** Version history of a template, oldest first, each version resolved. */
+function templateVersions(template) {
+  return storedVersions(template).map(resolveStored);
+}
+
+function getTemplateVersion(id, version) {
+  const template = getTemplateById(id);
+  if (!template) return null;
+  return templateVersions(template).find((v) => v.version === version) || null;
+}
+
+function addTemplate(template, { actor } = {}) {
   // Check for duplicate ID
-  if (templates.find((t) => t.id === template.id)) {
+  if (getTemplateById(template.id)) {
     throw new Error(`Template with ID "${template.id}" already exists`);
   }
 
   // Ensure required properties
+  const createdAt = new Date().toISOString();
+  const definition = definitionOf(template);
   const newTemplate = {
     id: template.id,
-    label: template.label,
-    description: template.description || "",
-    oneClickRigor: template.oneClickRigor || false,
-    fields: template.fields || [],
-    generatedAt: new Date().toISOString(),
+    ...definition,
+    generatedAt: createdAt,
+    version: 1,
+    versions: [{ version: 1, ...definition, createdAt, actor: actor || "anonymous" }],
   };
 
-  templates.push(newTemplate);
+  customTemplates.set(newTemplate.id, newTemplate);
   return newTemplate;
 }
 
+/**
+ * Replace the definition of a custom template. Versions are immutable, so
+ * a changed definition is appended as the next version; an identical one
+ * leaves the template as it is. Returns { template, created }.
+ */
+function updateTemplate(id, template, { actor } = {}) {
+  const current = customTemplates.get(id);
+  const definition = definitionOf(template);
+  if (serialize(definition) === serialize(definitionOf(current))) {
+    return { template: current, created: false };
+  }
+
+  const versions = storedVersions(current);
+  const version = versions[versions.length - 1].version + 1;
+  const updated = customTemplates.set(id, {
+    ...current,
+    ...definition,
+    version,
+    versions: [
+      ...versions,
+      {
+        version,
+        ...definition,
+        createdAt: new Date().toISOString(),
+        actor: actor || "anonymous",
+      },
+    ],
+  });
+  return { template: updated, created: true };
+}
+
+// Deprecation is a flag on the template, not a new version: models keep
+// validating against their copy, and apply still works but warns.
+function setTemplateDeprecation(id, { deprecated, message, actor }) {
+  const { deprecation: previous, ...current } = customTemplates.get(id);
+  if (!deprecated) return customTemplates.set(id, current);
+  return customTemplates.set(id, {
+    ...current,
+    deprecation: {
+      message: message || "",
+      deprecatedAt: previous ? previous.deprecatedAt : new Date().toISOString(),
+      actor: actor || "anonymous",
+    },
+  });
+}
+
+function deleteTemplate(id) {
+  return customTemplates.delete(id);
+}
+
 module.exports = {
+  definitionOf,
   getTemplates,
   getTemplateById,
+  isBuiltInTemplate,
+  toJsonFields,
+  templateVersions,
+  getTemplateVersion,
   addTemplate,
+  updateTemplate,
+  setTemplateDeprecation,
+  deleteTemplate,
 };
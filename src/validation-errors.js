@@ -0,0 +1,381 @@
+// Structured validation errors: { code, fieldKey, label, message,
+// messages: { ja, en }, value }. Validators build them language-neutral
+// with validationError; routes pick `message` for the caller with
+// localizeErrors(errors, requestLanguage(req)).
+
+const LANGUAGES = ["ja", "en"];
+
+const TYPE_NAMES = {
+  string: { ja: "文字列", en: "string" },
+  number: { ja: "数値", en: "number" },
+  integer: { ja: "整数", en: "integer" },
+  boolean: { ja: "真偽値", en: "boolean" },
+  array: { ja: "配列", en: "array" },
+  object: { ja: "オブジェクト", en: "object" },
+};
+
+const GEOFENCE_HINTS = {
+  swapped: {
+    ja: "緯度と経度が逆になっている可能性があります",
+    en: "latitude/longitude probably swapped",
+  },
+  signFlipped: {
+    ja: "座標の符号が誤っている可能性があります",
+    en: "coordinate sign probably flipped",
+  },
+};
+
+const COMPARISONS = {
+  lt: { ja: "より小さい値", en: "less than" },
+  lte: { ja: "以下", en: "at most" },
+  gt: { ja: "より大きい値", en: "greater than" },
+  gte: { ja: "以上", en: "at least" },
+  eq: { ja: "と同じ値", en: "equal to" },
+  ne: { ja: "と異なる値", en: "different from" },
+};
+
+function typeName(type, lang) {
+  return TYPE_NAMES[type] ? TYPE_NAMES[type][lang] : type;
+}
+
+function withHint(message, hint, lang) {
+  if (!hint || !GEOFENCE_HINTS[hint]) return message;
+  const text = GEOFENCE_HINTS[hint][lang];
+  return lang === "ja" ? `${message}（${text}）` : `${message} (${text})`;
+}
+
+// code -> { ja, en } message builders. Each receives the error's
+// fieldKey and label plus the params passed to validationError.
+const MESSAGES = {
+  required: {
+    ja: (p) => `${p.label}は必須です`,
+    en: (p) => `${p.fieldKey} is required`,
+  },
+  mandatory: {
+    ja: (p) => `${p.label}は必須です（標準データセット 区分◎）`,
+    en: (p) => `${p.fieldKey} is required (標準データセット 区分◎)`,
+  },
+  invalidType: {
+    ja: (p) => `${p.label}は${typeName(p.expected, "ja")}で指定してください`,
+    en: (p) => `${p.fieldKey} must be a ${typeName(p.expected, "en")}`,
+  },
+  invalidOption: {
+    ja: (p) => `${p.label}は次のいずれかを指定してください: ${p.options.join(", ")}`,
+    en: (p) => `${p.fieldKey} must be one of: ${p.options.join(", ")}`,
+  },
+  invalidPattern: {
+    ja: (p) => `${p.label}の形式が正しくありません`,
+    en: (p) => p.detail || `${p.fieldKey} is not valid`,
+  },
+  invalidRegex: {
+    ja: (p) => `${p.label}「${p.value}」は正規表現として解釈できません`,
+    en: (p) => `${p.fieldKey}: "${p.value}" is not a valid regular expression`,
+  },
+  invalidDate: {
+    ja: (p) => `${p.label}はYYYY-MM-DD形式で入力してください`,
+    en: (p) => `${p.fieldKey} must be YYYY-MM-DD`,
+  },
+  invalidDatetime: {
+    ja: (p) => `${p.label}はISO 8601形式（例: 2024-05-01T09:00:00+09:00）で入力してください`,
+    en: (p) => `${p.fieldKey} must be an ISO 8601 date-time with offset`,
+  },
+  invalidTime: {
+    ja: (p) => `${p.label}はHH:MM形式で入力してください`,
+    en: (p) => `${p.fieldKey} must be HH:MM`,
+  },
+  invalidTimeRange: {
+    ja: (p) => `${p.label}はHH:MM-HH:MM形式（例: 09:00-18:00）で入力してください`,
+    en: (p) => `${p.fieldKey} must be HH:MM-HH:MM (e.g. 09:00-18:00)`,
+  },
+  invalidEmail: {
+    ja: (p) => `${p.label}は有効なメールアドレスで入力してください`,
+    en: (p) => `${p.fieldKey} must be a valid email address`,
+  },
+  duplicateOption: {
+    ja: (p) => `${p.label}に同じ選択肢が重複しています`,
+    en: (p) => `${p.fieldKey} lists an option twice`,
+  },
+  invalidUrl: {
+    ja: (p) => `${p.label}は有効なURL（http/https）で入力してください`,
+    en: (p) => `${p.fieldKey} must be a valid http(s) URL`,
+  },
+  tooSmall: {
+    ja: (p) =>
+      p.type === "string"
+        ? `${p.label}は${p.minimum}文字以上で入力してください`
+        : p.type === "array"
+          ? `${p.label}は${p.minimum}件以上指定してください`
+          : `${p.label}は${p.minimum}以上で入力してください`,
+    en: (p) =>
+      p.type === "string"
+        ? `${p.fieldKey} must be at least ${p.minimum} characters`
+        : p.type === "array"
+          ? `${p.fieldKey} must have at least ${p.minimum} entries`
+          : `${p.fieldKey} must be at least ${p.minimum}`,
+  },
+  tooBig: {
+    ja: (p) =>
+      p.type === "string"
+        ? `${p.label}は${p.maximum}文字以下で入力してください`
+        : p.type === "array"
+          ? `${p.label}は${p.maximum}件以下で指定してください`
+          : `${p.label}は${p.maximum}以下で入力してください`,
+    en: (p) =>
+      p.type === "string"
+        ? `${p.fieldKey} must be at most ${p.maximum} characters`
+        : p.type === "array"
+          ? `${p.fieldKey} must have at most ${p.maximum} entries`
+          : `${p.fieldKey} must be at most ${p.maximum}`,
+  },
+  coordinateOutOfRange: {
+    ja: (p) => `${p.label}がGIFの座標範囲外です（緯度は-90〜90、経度は-180〜180）`,
+    en: (p) => `${p.fieldKey} must satisfy GIF coordinate bounds`,
+  },
+  coordinateNotNumeric: {
+    ja: (p) => `${p.label}は数値で入力してください（GIFコアデータパーツ）`,
+    en: (p) => `${p.fieldKey} must be numeric (GIF core data parts)`,
+  },
+  coordinatePairRequired: {
+    ja: () => "緯度と経度は両方指定してください",
+    en: () => "latitude and longitude must be provided together",
+  },
+  coordinateZero: {
+    ja: () => "緯度・経度を両方0にすることはできません",
+    en: () => "coordinates cannot both be zero (invalid GIF location)",
+  },
+  outsideJapan: {
+    ja: (p) => withHint("座標が日本の範囲外です", p.hint, "ja"),
+    en: (p) => withHint("coordinates are outside Japan", p.hint, "en"),
+  },
+  outsideMunicipality: {
+    ja: (p) =>
+      withHint(
+        `座標が${p.municipality ? p.municipality.fullName : ""}（${p.localGovernmentCode}）の区域外です`,
+        p.hint,
+        "ja"
+      ),
+    en: (p) =>
+      withHint(
+        `coordinates are outside ${p.municipality ? `${p.municipality.fullName} ` : ""}(${p.localGovernmentCode})`,
+        p.hint,
+        "en"
+      ),
+  },
+  localGovernmentCodeFormat: {
+    ja: (p) => `${p.label}は半角数字6桁（5桁のコード＋検査数字）で入力してください`,
+    en: (p) => `${p.fieldKey}: must be 6 half-width digits (5-digit code + check digit)`,
+  },
+  localGovernmentCodeCheckDigit: {
+    ja: (p) =>
+      `${p.label}の検査数字が一致しません（正しくは${p.expected}${p.municipality ? ` ${p.municipality.fullName}` : ""}）`,
+    en: (p) =>
+      `${p.fieldKey}: check digit mismatch (expected ${p.expected}${p.municipality ? ` ${p.municipality.fullName}` : ""})`,
+  },
+  localGovernmentCodeUnknown: {
+    ja: (p) => `${p.label}「${p.value}」は地方公共団体コード一覧にありません`,
+    en: (p) => `${p.fieldKey}: ${p.value} is not in the municipality registry`,
+  },
+  addressMunicipalityMismatch: {
+    ja: (p) =>
+      `${p.label}の市区町村（${p.addressMunicipality}）が全国地方公共団体コード（${p.localGovernmentCode}${p.municipality ? ` ${p.municipality.fullName}` : ""}）と一致しません`,
+    en: (p) =>
+      `${p.fieldKey}: ${p.addressMunicipality} does not match localGovernmentCode ${p.localGovernmentCode}${p.municipality ? ` (${p.municipality.fullName})` : ""}`,
+  },
+  nearDuplicate: {
+    ja: (p) =>
+      `${p.label}「${p.value}」は${p.match.distance}m離れた「${p.match.name}」と重複している可能性があります`,
+    en: (p) =>
+      `${p.fieldKey}: possible duplicate of "${p.match.name}" ${p.match.distance} m away (similarity ${p.match.nameSimilarity})`,
+  },
+  duplicateIdentifier: {
+    ja: (p) => `${p.label}「${p.value}」は既にこのモデルに存在します`,
+    en: (p) => `identifier "${p.value}" already exists in this model`,
+  },
+  repeatedIdentifier: {
+    ja: (p) => `${p.label}「${p.value}」が重複しています（${p.firstRow}行目と同じ）`,
+    en: (p) => `identifier "${p.value}" is repeated (first seen on row ${p.firstRow})`,
+  },
+  // Message text comes from CKAN; only known phrases have Japanese.
+  ckanValidation: {
+    ja: (p) => `${p.label}: ${p.detailJa || p.detail}`,
+    en: (p) => `${p.fieldKey}: ${p.detail}`,
+  },
+  requiredWhen: {
+    ja: (p) => `${p.label}は必須です（${p.condition.ja}の場合）`,
+    en: (p) => `${p.fieldKey} is required when ${p.condition.en}`,
+  },
+  mutuallyExclusive: {
+    ja: (p) => `${p.label}と${p.otherLabels.join("、")}は同時に指定できません`,
+    en: (p) => `${p.fieldKey} cannot be combined with ${p.others.join(", ")}`,
+  },
+  comparison: {
+    ja: (p) => `${p.label}は${p.otherLabel}${COMPARISONS[p.operator].ja}にしてください`,
+    en: (p) => `${p.fieldKey} must be ${COMPARISONS[p.operator].en} ${p.other}`,
+  },
+  conditionalPattern: {
+    ja: (p) => `${p.label}の形式が正しくありません（${p.condition.ja}の場合）`,
+    en: (p) => `${p.fieldKey} does not match the format required when ${p.condition.en}`,
+  },
+  unknownRuleReference: {
+    ja: (p) => `${p.label}のルールが存在しない項目「${p.reference}」を参照しています`,
+    en: (p) => `${p.fieldKey}: rule refers to unknown field ${p.reference}`,
+  },
+  unknownField: {
+    ja: (p) => `${p.label}「${p.value}」という項目はありません`,
+    en: (p) => `${p.fieldKey}: unknown field ${p.value}`,
+  },
+  fieldExists: {
+    ja: (p) => `項目名英語「${p.value}」の項目は既にあります`,
+    en: (p) => `${p.fieldKey}: field ${p.value} already exists`,
+  },
+  optionsRequired: {
+    ja: (p) => `${p.label}の選択肢を指定してください`,
+    en: (p) => `${p.fieldKey}: a vocabulary field needs options`,
+  },
+  unknownFieldGroup: {
+    ja: (p) => `項目グループ「${p.value}」が見つかりません`,
+    en: (p) => `Unknown field group: ${p.value}`,
+  },
+  unknownGroupField: {
+    ja: (p) => `項目グループ「${p.group}」に項目「${p.value}」はありません`,
+    en: (p) => `Field group ${p.group} has no field ${p.value}`,
+  },
+  duplicateFieldKey: {
+    ja: (p) => `項目名英語「${p.fieldKey}」が重複しています`,
+    en: (p) => `${p.fieldKey} appears more than once`,
+  },
+  unknownTemplate: {
+    ja: (p) => `テンプレート「${p.value}」が見つかりません`,
+    en: (p) => `Unknown template: ${p.value}`,
+  },
+  invalid: {
+    ja: (p) => `${p.label}の値が正しくありません`,
+    en: (p) => p.detail || `${p.fieldKey} is not valid`,
+  },
+};
+
+/**
+ * Build a structured error. `params` feed the message builders; the
+ * ones named after error keys (fieldKey, label, value) are stored as is.
+ * A `customMessage` ({ ja, en }, e.g. from a template rule) wins.
+ */
+function validationError(
+  code,
+  { fieldKey, label, value, customMessage, ...params } = {}
+) {
+  const builders = MESSAGES[code] || MESSAGES.invalid;
+  const context = { ...params, fieldKey, label: label || fieldKey, value };
+  const error = { code, fieldKey, label: label || fieldKey };
+  error.messages = customMessage || {
+    ja: builders.ja(context),
+    en: builders.en(context),
+  };
+  if (value !== undefined) error.value = value;
+  return error;
+}
+
+function valueAt(data, path) {
+  return path.reduce(
+    (current, key) =>
+      current !== undefined && current !== null ? current[key] : undefined,
+    data
+  );
+}
+
+const STRING_ISSUE_CODES = {
+  url: "invalidUrl",
+  email: "invalidEmail",
+  datetime: "invalidDatetime",
+};
+
+// Typed fields validated with a regex report a format-specific code.
+const FORMAT_CODES_BY_TYPE = {
+  date: "invalidDate",
+  time: "invalidTime",
+  timeRange: "invalidTimeRange",
+};
+
+// zod's stock message for a failed regex; anything else was written by us.
+const DEFAULT_REGEX_MESSAGE = "Invalid";
+
+function codeForIssue(issue, field) {
+  switch (issue.code) {
+    case "invalid_type":
+      return issue.received === "undefined" ? "required" : "invalidType";
+    case "not_finite":
+      return "invalidType";
+    case "invalid_enum_value":
+      return "invalidOption";
+    case "invalid_string":
+      return STRING_ISSUE_CODES[issue.validation] ||
+        (field && FORMAT_CODES_BY_TYPE[field.type]) ||
+        "invalidPattern";
+    case "too_small":
+      return "tooSmall";
+    case "too_big":
+      return "tooBig";
+    case "custom":
+      return (issue.params && issue.params.code) || "invalid";
+    default:
+      return "invalid";
+  }
+}
+
+/**
+ * Map a ZodError to structured errors. `labels` maps keys to Japanese
+ * labels and `fields` to template field definitions; both are looked up
+ * by the last path segment, so nested keys like `schema.fields.0.type`
+ * still get a label.
+ */
+function fromZodError(zodError, { data = {}, labels = {}, fields = {} } = {}) {
+  return zodError.errors.map((issue) => {
+    const key = issue.path[issue.path.length - 1];
+    // Item errors may point inside a value (tags.1); the field is the head.
+    const field = fields[issue.path[0]];
+    const code = codeForIssue(issue, field);
+    const detail =
+      issue.code === "custom" ||
+      (issue.code === "invalid_string" && issue.message !== DEFAULT_REGEX_MESSAGE)
+        ? issue.message
+        : undefined;
+    return validationError(code, {
+      ...(issue.code === "custom" ? issue.params : {}),
+      fieldKey: issue.path.join(".") || undefined,
+      label: (field && field.label) || labels[key],
+      value: valueAt(data, issue.path),
+      expected: issue.code === "not_finite" ? "number" : issue.expected,
+      options: issue.options,
+      minimum: issue.minimum,
+      maximum: issue.maximum,
+      type: issue.type,
+      detail: code === "invalid" || code === "invalidPattern" ? detail : undefined,
+    });
+  });
+}
+
+function requestLanguage(req) {
+  return req.acceptsLanguages(...LANGUAGES) || LANGUAGES[0];
+}
+
+/**
+ * Pick each error's `message` for `lang`. Plain strings (errors that are
+ * not field validation, e.g. query parameters) pass through.
+ */
+function localizeErrors(errors, lang) {
+  return errors.map((error) => {
+    if (typeof error === "string" || !error.messages) return error;
+    const { code, fieldKey, label, messages, value } = error;
+    const localized = { code, fieldKey, label, message: messages[lang] };
+    localized.messages = messages;
+    if (value !== undefined) localized.value = value;
+    return localized;
+  });
+}
+
+module.exports = {
+  LANGUAGES,
+  validationError,
+  fromZodError,
+  requestLanguage,
+  localizeErrors,
+};
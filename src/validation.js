@@ -1,7 +1,209 @@
 const { z } = require("zod");
 const { getTemplateById } = require("./templates");
+const {
+  lookupMunicipality,
+  validateLocalGovernmentCode,
+} = require("./services/local-government-code");
+const { parseAddress, addressMatchesCode } = require("./services/address");
+const { NORMALIZER_NAMES, normalizeItem } = require("./services/normalization");
+const { GEOFENCE_LEVELS, checkGeofence } = require("./services/geofence");
+const { validationError, fromZodError } = require("./validation-errors");
+const { usesFieldGroups, resolveFields } = require("./services/field-groups");
+const {
+  regexSourceSchema,
+  fieldRuleShape,
+  checkFieldRules,
+  unknownRuleReferences,
+} = require("./services/field-rules");
 
 const dateRegex = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+// 09:00-18:00; the end may be 24:00 and may wrap past midnight (22:00-02:00).
+const timeRangeRegex =
+  /^([01]\d|2[0-3]):[0-5]\d-(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const FIELD_TYPES = [
+  "string",
+  "number",
+  "integer",
+  "date",
+  "datetime",
+  "time",
+  "timeRange",
+  "boolean",
+  "url",
+  "email",
+  "latitude",
+  "longitude",
+  "controlledVocabulary",
+  "multiControlledVocabulary",
+];
+
+const VOCABULARY_TYPES = ["controlledVocabulary", "multiControlledVocabulary"];
+
+// Types stored as strings, which is what `pattern` can apply to.
+const STRING_TYPES = [
+  "string",
+  "date",
+  "datetime",
+  "time",
+  "timeRange",
+  "url",
+  "email",
+];
+
+// Shape of a template field definition as accepted over the API
+// (excel-to-schema confirm, model schema migrations). `pattern` is a
+// string here and compiled with compileFieldPattern.
+const templateFieldSchema = z.object({
+  fieldKey: z
+    .string()
+    .min(1)
+    .regex(/^[a-zA-Z_][a-zA-Z0-9_]*$/, "Invalid field key"),
+  label: z.string().min(1),
+  description: z.string().optional(),
+  type: z.enum(FIELD_TYPES),
+  required: z.boolean().optional().default(false),
+  pattern: regexSourceSchema.optional(),
+  mandatoryMark: z.string().optional(),
+  options: z.array(z.string()).optional(),
+  // Bounds for number and integer fields.
+  min: z.number().optional(),
+  max: z.number().optional(),
+  optionLabels: z.record(z.string()).optional(),
+  format: z.enum(["localGovernmentCode", "japaneseAddress"]).optional(),
+  // On an address field: the postal code field to fill when left empty.
+  fillPostalCode: z.string().optional(),
+  normalize: z.array(z.enum(NORMALIZER_NAMES)).optional(),
+  verifyRegistry: z.boolean().optional(),
+  geofence: z.enum(GEOFENCE_LEVELS).optional(),
+  ...fieldRuleShape,
+});
+
+// Label, description and fields of a template, as accepted by
+// /v1/excel-to-schema/confirm and PUT /v1/model-templates/:id.
+const templateDefinitionShape = {
+  label: z.string().min(1),
+  description: z.string().optional(),
+  oneClickRigor: z.boolean().optional().default(false),
+  fields: z.array(templateFieldSchema).min(1),
+};
+
+// { include, only?, omit?, override? }: fields taken from a shared field
+// group (see services/field-groups.js). Overrides are checked once resolved.
+const fieldGroupReferenceSchema = z
+  .object({
+    include: z.string().min(1),
+    only: z.array(z.string().min(1)).min(1).optional(),
+    omit: z.array(z.string().min(1)).optional(),
+    override: z.record(z.record(z.any())).optional(),
+  })
+  .strict();
+
+// A template field or a field group reference, reporting the errors of
+// whichever the entry is meant to be.
+const templateFieldEntrySchema = z.any().transform((entry, ctx) => {
+  const schema =
+    entry && typeof entry === "object" && entry.include !== undefined
+      ? fieldGroupReferenceSchema
+      : templateFieldSchema;
+  const result = schema.safeParse(entry);
+  if (result.success) return result.data;
+  result.error.issues.forEach((issue) => ctx.addIssue(issue));
+  return z.NEVER;
+});
+
+// Japanese labels for template errors, keyed by the last path segment
+// (`schema.label` and `schema.fields.0.label` share "label").
+const TEMPLATE_LABELS = {
+  schema: "スキーマ",
+  id: "テンプレートID",
+  label: "項目名",
+  description: "説明",
+  oneClickRigor: "ワンクリック厳格化",
+  fields: "項目",
+  fieldKey: "項目名英語",
+  type: "型",
+  required: "必須",
+  pattern: "正規表現",
+  mandatoryMark: "区分",
+  options: "選択肢",
+  optionLabels: "選択肢ラベル",
+  format: "書式",
+  normalize: "正規化",
+  verifyRegistry: "コード一覧照合",
+  geofence: "ジオフェンス",
+  requiredWhen: "条件付き必須",
+  exclusiveWith: "排他項目",
+  compare: "比較条件",
+  patternWhen: "条件付き形式",
+  matches: "一致条件",
+  include: "項目グループ",
+  only: "対象項目",
+  omit: "除外項目",
+  override: "上書き",
+  deprecated: "非推奨",
+  deprecationMessage: "非推奨の理由",
+};
+
+/**
+ * Resolve the field group references in template `fields` (parsed with
+ * templateFieldEntrySchema) and check the result: unknown groups or keys,
+ * duplicate field keys, and overrides that break a group field. Returns
+ * { fields, errors }.
+ */
+function resolveTemplateFields(fields) {
+  if (!usesFieldGroups(fields)) return { fields, errors: [] };
+  const resolved = resolveFields(fields);
+  if (resolved.errors.length > 0) return resolved;
+
+  const plain = resolved.fields.map((field) =>
+    field.pattern instanceof RegExp
+      ? { ...field, pattern: field.pattern.source }
+      : field
+  );
+  const data = { fields: plain };
+  const parsed = z
+    .object({ fields: z.array(templateFieldSchema) })
+    .safeParse(data);
+  if (parsed.success) return { fields: parsed.data.fields, errors: [] };
+  return {
+    fields: plain,
+    errors: fromZodError(parsed.error, { data, labels: TEMPLATE_LABELS }),
+  };
+}
+
+// Rules in `fields` that name a field the template does not have.
+function templateReferenceErrors(fields) {
+  return unknownRuleReferences(fields).map(({ fieldKey, reference }) =>
+    validationError("unknownRuleReference", {
+      fieldKey,
+      label: fields.find((f) => f.fieldKey === fieldKey).label,
+      reference,
+    })
+  );
+}
+
+// Vocabulary fields without options, which no value could satisfy.
+function vocabularyOptionErrors(fields) {
+  return fields
+    .filter((f) => VOCABULARY_TYPES.includes(f.type))
+    .filter((f) => !Array.isArray(f.options) || f.options.length === 0)
+    .map((f) =>
+      validationError("optionsRequired", { fieldKey: f.fieldKey, label: f.label })
+    );
+}
+
+function compileFieldPattern(field) {
+  if (field.pattern && !(field.pattern instanceof RegExp)) {
+    try {
+      field.pattern = new RegExp(field.pattern);
+    } catch {
+      delete field.pattern;
+    }
+  }
+  return field;
+}
 
 function coordinateSchema(fieldKey) {
   return z
@@ -12,10 +214,42 @@ function coordinateSchema(fieldKey) {
     .finite()
     .refine((value) => Math.abs(value) <= (fieldKey === "latitude" ? 90 : 180), {
       message: `${fieldKey} must satisfy GIF coordinate bounds`,
+      params: { code: "coordinateOutOfRange" },
     })
     .refine((value) => `${value}`.match(/^-?\d+(\.\d+)?$/), {
       message: `${fieldKey} must be numeric (GIF core data parts)`,
+      params: { code: "coordinateNotNumeric" },
+    });
+}
+
+// A vocabulary stored without options (saved before they were required)
+// rejects values with optionsRequired rather than failing to build.
+function optionSchema(field) {
+  if (!Array.isArray(field.options) || field.options.length === 0) {
+    return z.any().refine(() => false, {
+      message: `${field.fieldKey} has no options`,
+      params: { code: "optionsRequired" },
     });
+  }
+  return z.enum(field.options);
+}
+
+// Array of distinct options; an empty array counts as missing, like "".
+function multiVocabularySchema(field) {
+  return z
+    .array(optionSchema(field))
+    .refine((values) => new Set(values).size === values.length, {
+      message: `${field.fieldKey} lists an option twice`,
+      params: { code: "duplicateOption" },
+    });
+}
+
+function isMissing(value) {
+  return (
+    value === undefined ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
 }
 
 function buildZodSchema(template) {
@@ -24,22 +258,45 @@ function buildZodSchema(template) {
   template.fields.forEach((field) => {
     let base;
     if (field.type === "controlledVocabulary") {
-      base = z.enum(field.options);
+      base = optionSchema(field);
+    } else if (field.type === "multiControlledVocabulary") {
+      base = multiVocabularySchema(field);
     } else if (field.type === "boolean") {
       base = z.boolean();
-    } else if (field.type === "number") {
-      base = z.number();
+    } else if (field.type === "number" || field.type === "integer") {
+      base = field.type === "integer" ? z.number().int() : z.number();
+      if (field.min !== undefined) base = base.min(field.min);
+      if (field.max !== undefined) base = base.max(field.max);
     } else if (field.type === "latitude" || field.type === "longitude") {
       base = coordinateSchema(field.fieldKey);
     } else if (field.type === "date") {
       base = z
         .string()
         .regex(dateRegex, `${field.fieldKey} must be YYYY-MM-DD`);
+    } else if (field.type === "datetime") {
+      // ISO 8601 with an explicit offset, e.g. 2024-05-01T09:00:00+09:00.
+      base = z.string().datetime({ offset: true });
+    } else if (field.type === "time") {
+      base = z.string().regex(timeRegex, `${field.fieldKey} must be HH:MM`);
+    } else if (field.type === "timeRange") {
+      base = z
+        .string()
+        .regex(timeRangeRegex, `${field.fieldKey} must be HH:MM-HH:MM`);
+    } else if (field.type === "url") {
+      base = z
+        .string()
+        .url()
+        .refine((value) => /^https?:\/\//i.test(value), {
+          message: `${field.fieldKey} must be an http(s) URL`,
+          params: { code: "invalidUrl" },
+        });
+    } else if (field.type === "email") {
+      base = z.string().email();
     } else {
       base = z.string();
     }
 
-    if (field.pattern) {
+    if (field.pattern && STRING_TYPES.includes(field.type)) {
       base = base.regex(field.pattern, `${field.fieldKey} is not valid`);
     }
 
@@ -56,36 +313,77 @@ function buildZodSchema(template) {
       {
         message: "latitude and longitude must be provided together",
         path: ["latitude"],
+        params: { code: "coordinatePairRequired" },
       }
-    );
+    )
+    .superRefine((data, ctx) => {
+      // Conditional and cross-field rules (services/field-rules.js).
+      checkFieldRules(template, data).forEach(({ fieldKey, code, params }) =>
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [fieldKey],
+          message: code,
+          params: { code, ...params },
+        })
+      );
+    });
 }
 
 function validateItemAgainstTemplate(templateId, data) {
   const template = getTemplateById(templateId);
   if (!template) {
-    return { ok: false, errors: [`Unknown template: ${templateId}`] };
+    return {
+      ok: false,
+      errors: [validationError("unknownTemplate", { value: templateId })],
+    };
   }
+  return validateItem(template, data);
+}
+
+// Validate against a template-shaped object ({ fields }), e.g. a model's
+// own schema version rather than the built-in template it came from.
+// Declared field normalizers run first; `normalized` lists what they changed.
+function validateItem(template, data) {
+  const { value: normalizedData, changes: normalized } = normalizeItem(
+    template,
+    data
+  );
+  const result = validateNormalizedItem(template, normalizedData);
+  return { ...result, normalized };
+}
+
+function fieldsByKeyOf(template) {
+  return Object.fromEntries(template.fields.map((f) => [f.fieldKey, f]));
+}
 
+// Errors are structured (see validation-errors.js); routes localize them.
+function validateNormalizedItem(template, data) {
+  const fields = fieldsByKeyOf(template);
   const schema = buildZodSchema(template);
   const parsed = schema.safeParse(data);
 
   if (!parsed.success) {
-    const errors = parsed.error.errors.map(
-      (err) => `${err.path.join(".")}: ${err.message}`
-    );
-    return { ok: false, errors };
+    const errors = fromZodError(parsed.error, { data, fields });
+    return {
+      ok: false,
+      errors: errors.concat(swappedCoordinateErrors(template, data)),
+    };
   }
 
   // Mandatory mark enforcement (◎) - double-check required fields presence.
-  const missingMandatory = template.fields
-    .filter((f) => f.mandatoryMark === "◎" && (parsed.data[f.fieldKey] === undefined || parsed.data[f.fieldKey] === ""))
-    .map((f) => f.fieldKey);
+  const missingMandatory = template.fields.filter(
+    (f) => f.mandatoryMark === "◎" && isMissing(parsed.data[f.fieldKey])
+  );
 
   if (missingMandatory.length > 0) {
     return {
       ok: false,
-      errors: missingMandatory.map(
-        (fieldKey) => `${fieldKey} is required (標準データセット 区分◎)`
+      errors: missingMandatory.map((field) =>
+        validationError("mandatory", {
+          fieldKey: field.fieldKey,
+          label: field.label,
+          value: parsed.data[field.fieldKey],
+        })
       ),
     };
   }
@@ -93,39 +391,192 @@ function validateItemAgainstTemplate(templateId, data) {
   // GIF coordinate validation
   const coordinateErrors = validateCoordinates(
     parsed.data.latitude,
-    parsed.data.longitude
+    parsed.data.longitude,
+    fields
   );
 
   if (coordinateErrors.length > 0) {
     return { ok: false, errors: coordinateErrors };
   }
 
-  return { ok: true, value: parsed.data, template };
+  const formats = validateFieldFormats(template, parsed.data);
+  if (formats.errors.length > 0) {
+    return { ok: false, errors: formats.errors };
+  }
+
+  const geofenceErrors = validateGeofence(template, parsed.data, formats.info);
+  if (geofenceErrors.length > 0) {
+    return { ok: false, errors: geofenceErrors };
+  }
+
+  return { ok: true, value: parsed.data, template, info: formats.info };
+}
+
+const LOCAL_GOVERNMENT_CODE_ERRORS = {
+  format: "localGovernmentCodeFormat",
+  checkDigit: "localGovernmentCodeCheckDigit",
+  notInRegistry: "localGovernmentCodeUnknown",
+};
+
+// Checks beyond a regex, declared per field with `format`. `info` carries
+// what was looked up, e.g. the municipality behind a 全国地方公共団体コード.
+function validateFieldFormats(template, data) {
+  const errors = [];
+  const info = {};
+
+  template.fields
+    .filter((f) => f.format === "localGovernmentCode")
+    .filter((f) => data[f.fieldKey] !== undefined && data[f.fieldKey] !== "")
+    .forEach((field) => {
+      const result = validateLocalGovernmentCode(data[field.fieldKey], {
+        verifyRegistry: field.verifyRegistry,
+      });
+      if (!result.ok) {
+        errors.push(
+          validationError(LOCAL_GOVERNMENT_CODE_ERRORS[result.reason], {
+            fieldKey: field.fieldKey,
+            label: field.label,
+            value: data[field.fieldKey],
+            expected: result.expected,
+            municipality: result.municipality,
+          })
+        );
+      }
+      if (result.ok && result.municipality) {
+        info[field.fieldKey] = { municipality: result.municipality };
+      }
+    });
+
+  // Addresses must lie in the municipality the item's 全国地方公共団体コード
+  // stands for when that code is valid. One whose municipality cannot be
+  // read (the registry is partial) only gets a municipalityNotFound
+  // warning under `info`.
+  const codeField = template.fields.find(
+    (f) => f.format === "localGovernmentCode"
+  );
+  const code =
+    codeField &&
+    !errors.some((e) => e.fieldKey === codeField.fieldKey) &&
+    data[codeField.fieldKey] !== undefined &&
+    data[codeField.fieldKey] !== ""
+      ? String(data[codeField.fieldKey])
+      : undefined;
+  template.fields
+    .filter((f) => f.format === "japaneseAddress")
+    .filter((f) => typeof data[f.fieldKey] === "string" && data[f.fieldKey] !== "")
+    .forEach((field) => {
+      const address = parseAddress(data[field.fieldKey], {
+        localGovernmentCode: code,
+      });
+      const params = {
+        fieldKey: field.fieldKey,
+        label: field.label,
+        value: data[field.fieldKey],
+      };
+      if (code && addressMatchesCode(address, code) === false) {
+        errors.push(
+          validationError("addressMunicipalityMismatch", {
+            ...params,
+            addressMunicipality: `${address.prefecture || ""}${address.municipality}`,
+            localGovernmentCode: code,
+            municipality: lookupMunicipality(code),
+          })
+        );
+      } else {
+        info[field.fieldKey] = { address };
+      }
+    });
+
+  return { errors, info };
+}
+
+function geofenceError(field, data, problem, municipality) {
+  return validationError(problem.code, {
+    fieldKey: field.fieldKey,
+    label: field.label,
+    value: [data.latitude, data.longitude],
+    hint: problem.hint,
+    localGovernmentCode: problem.localGovernmentCode,
+    municipality,
+  });
+}
+
+// Opt-in per template with `geofence: "japan" | "municipality"` on the
+// latitude field; "municipality" also checks the boundary of the item's
+// 全国地方公共団体コード when a GeoJSON file for it is available.
+function validateGeofence(template, data, info) {
+  const field = template.fields.find((f) => f.type === "latitude" && f.geofence);
+  if (!field || data.latitude === undefined || data.longitude === undefined) {
+    return [];
+  }
+
+  const codeField = template.fields.find(
+    (f) => f.format === "localGovernmentCode"
+  );
+  const municipality = codeField && info[codeField.fieldKey]?.municipality;
+  return checkGeofence(data.latitude, data.longitude, {
+    level: field.geofence,
+    localGovernmentCode: codeField ? data[codeField.fieldKey] : undefined,
+  }).map((problem) => geofenceError(field, data, problem, municipality));
 }
 
-function validateCoordinates(latitude, longitude) {
+// A latitude beyond ±90 fails the schema before the geofence runs; still
+// point out the likely cause when swapping the pair lands in Japan.
+function swappedCoordinateErrors(template, data) {
+  const field = template.fields.find((f) => f.type === "latitude" && f.geofence);
+  const { latitude, longitude } = data;
+  if (!field || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return [];
+  }
+  if (Math.abs(latitude) <= 90) return [];
+  return checkGeofence(latitude, longitude)
+    .filter((problem) => problem.hint === "swapped")
+    .map((problem) => geofenceError(field, data, problem));
+}
+
+function validateCoordinates(latitude, longitude, fields = {}) {
   if (latitude === undefined || longitude === undefined) {
     return [];
   }
 
+  const errorFor = (code, fieldKey, value) =>
+    validationError(code, {
+      fieldKey,
+      label: fields[fieldKey] && fields[fieldKey].label,
+      value,
+    });
+
   const errors = [];
   if (Math.abs(latitude) > 90) {
-    errors.push("latitude must be within -90 to 90 (GIF core data parts)");
+    errors.push(errorFor("coordinateOutOfRange", "latitude", latitude));
   }
   if (Math.abs(longitude) > 180) {
-    errors.push("longitude must be within -180 to 180 (GIF core data parts)");
+    errors.push(errorFor("coordinateOutOfRange", "longitude", longitude));
   }
   if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
-    errors.push("coordinates must be numeric");
+    errors.push(errorFor("coordinateNotNumeric", "latitude", latitude));
   }
   if (latitude === 0 && longitude === 0) {
-    errors.push("coordinates cannot both be zero (invalid GIF location)");
+    errors.push(errorFor("coordinateZero", "latitude", [latitude, longitude]));
   }
   return errors;
 }
 
 module.exports = {
+  dateRegex,
+  timeRegex,
+  timeRangeRegex,
+  FIELD_TYPES,
+  templateFieldSchema,
+  templateDefinitionShape,
+  templateFieldEntrySchema,
+  TEMPLATE_LABELS,
+  resolveTemplateFields,
+  templateReferenceErrors,
+  vocabularyOptionErrors,
+  compileFieldPattern,
   buildZodSchema,
+  validateItem,
   validateItemAgainstTemplate,
   validateCoordinates,
 };
@@ -0,0 +1,101 @@
+// Editorial workflow for model items. Status and review trail are stored
+// on the item next to its template fields (validation never sees them):
+//
+//   draft --submit--> inReview --approve--> approved --publish--> published
+//            ^            |                    |                      |
+//            +--reject----+                    +--------retire--------+--> retired
+//   retired --reopen--> draft
+//
+// Any content edit sends a non-draft item back to draft for re-review.
+const STATUSES = ["draft", "inReview", "approved", "published", "retired"];
+const PUBLISHABLE_STATUSES = ["approved", "published"];
+
+const TRANSITIONS = {
+  submit: { from: ["draft"], to: "inReview" },
+  approve: { from: ["inReview"], to: "approved" },
+  reject: { from: ["inReview"], to: "draft", requiresComment: true },
+  publish: { from: ["approved", "published"], to: "published" },
+  retire: { from: ["approved", "published"], to: "retired" },
+  reopen: { from: ["retired"], to: "draft" },
+};
+
+// Items created before the workflow existed count as drafts.
+function statusOf(item) {
+  return item.status || "draft";
+}
+
+function isPublishable(item) {
+  return PUBLISHABLE_STATUSES.includes(statusOf(item));
+}
+
+function historyEntry(action, from, to, actor, comment) {
+  const entry = {
+    action,
+    from,
+    to,
+    actor: actor || "anonymous",
+    at: new Date().toISOString(),
+  };
+  if (comment) entry.comment = comment;
+  return entry;
+}
+
+function newItem(id, value) {
+  return { id, ...value, status: "draft", workflowHistory: [] };
+}
+
+/** Replace an item's content, keeping its review trail. */
+function editedItem(existing, value, actor) {
+  const from = statusOf(existing);
+  const workflowHistory = [...(existing.workflowHistory || [])];
+  if (from !== "draft") {
+    workflowHistory.push(historyEntry("edit", from, "draft", actor));
+  }
+  return { id: existing.id, ...value, status: "draft", workflowHistory };
+}
+
+/**
+ * Apply a workflow action. Returns { ok, item } with the updated item, or
+ * { ok: false, statusCode, error } when the action is not allowed.
+ */
+function transition(item, action, { actor, comment } = {}) {
+  const rule = TRANSITIONS[action];
+  if (!rule) {
+    return { ok: false, statusCode: 400, error: `Unknown workflow action: ${action}` };
+  }
+
+  const from = statusOf(item);
+  if (!rule.from.includes(from)) {
+    return {
+      ok: false,
+      statusCode: 409,
+      error: `Cannot ${action} an item in status "${from}" (allowed from: ${rule.from.join(", ")})`,
+    };
+  }
+  if (rule.requiresComment && !comment) {
+    return { ok: false, statusCode: 400, error: `A comment is required to ${action}` };
+  }
+
+  return {
+    ok: true,
+    item: {
+      ...item,
+      status: rule.to,
+      workflowHistory: [
+        ...(item.workflowHistory || []),
+        historyEntry(action, from, rule.to, actor, comment),
+      ],
+    },
+  };
+}
+
+module.exports = {
+  STATUSES,
+  PUBLISHABLE_STATUSES,
+  TRANSITIONS,
+  statusOf,
+  isPublishable,
+  newItem,
+  editedItem,
+  transition,
+};
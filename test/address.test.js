@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getTemplateById } = require("../src/templates");
+const { validateItem } = require("../src/validation");
+const { normalizeItem } = require("../src/services/normalization");
+const samples = require("./fixtures/template-samples.json");
+
+// Addresses on the built-in templates: a 〒 code typed in front must end up
+// somewhere (the fillPostalCode field, or still the address), and the
+// partial municipality registry must not reject valid submissions.
+const facilities = getTemplateById("public-facilities");
+const sample = samples["public-facilities"][0];
+
+test("a typed 〒 code fills an empty postal code field", () => {
+  const { value } = normalizeItem(facilities, {
+    address: "〒180-0004 東京都武蔵野市吉祥寺本町1-1",
+  });
+  assert.equal(value.postalCode, "1800004");
+  assert.equal(value.address, "東京都武蔵野市吉祥寺本町1-1");
+});
+
+test("a typed 〒 code stays in the address when the field holds another code", () => {
+  const { value } = normalizeItem(facilities, {
+    address: "〒180-0004 東京都武蔵野市吉祥寺本町1-1",
+    postalCode: "1000001",
+  });
+  assert.equal(value.postalCode, "1000001");
+  assert.equal(value.address, "〒180-0004 東京都武蔵野市吉祥寺本町1-1");
+});
+
+test("a typed 〒 code stays in the address without a fillPostalCode field", () => {
+  const template = {
+    fields: [{ fieldKey: "address", type: "string", normalize: ["address"] }],
+  };
+  const { value } = normalizeItem(template, {
+    address: "〒１８０－０００４ 東京都武蔵野市吉祥寺本町１－１",
+  });
+  assert.equal(value.address, "〒180-0004 東京都武蔵野市吉祥寺本町1-1");
+});
+
+test("an address without 都道府県 takes it from localGovernmentCode", () => {
+  const result = validateItem(facilities, {
+    ...sample,
+    localGovernmentCode: "132039",
+    address: "武蔵野市吉祥寺本町1-1",
+    latitude: 35.7033,
+    longitude: 139.5797,
+  });
+  assert.ok(result.ok, JSON.stringify(result.errors));
+  const { address } = result.info.address;
+  assert.equal(address.prefecture, "東京都");
+  assert.equal(address.municipality, "武蔵野市");
+  assert.ok(address.warnings.includes("prefectureInferred"));
+});
+
+test("an address whose municipality cannot be read is only warned about", () => {
+  const result = validateItem(facilities, { ...sample, address: "吉祥寺本町1-1" });
+  assert.ok(result.ok, JSON.stringify(result.errors));
+  assert.ok(result.info.address.address.warnings.includes("municipalityNotFound"));
+});
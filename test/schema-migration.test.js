@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { applyOperations } = require("../src/services/schema-migration");
+const { validateItem } = require("../src/validation");
+
+// Vocabulary fields need options: migrations refuse to leave one without,
+// and a schema stored without them still validates instead of throwing.
+const fields = [
+  { fieldKey: "name", label: "名称", type: "string", required: true },
+];
+
+function errorCodes(errors) {
+  return errors.map((error) => [error.fieldKey, error.code]);
+}
+
+test("addField refuses a multiControlledVocabulary without options", () => {
+  const { errors } = applyOperations(fields, [
+    {
+      op: "addField",
+      field: { fieldKey: "tags", label: "タグ", type: "multiControlledVocabulary" },
+    },
+  ]);
+  assert.deepEqual(errorCodes(errors), [["tags", "optionsRequired"]]);
+});
+
+test("updateField refuses retyping to multiControlledVocabulary without options", () => {
+  const { errors } = applyOperations(fields, [
+    {
+      op: "updateField",
+      fieldKey: "name",
+      changes: { type: "multiControlledVocabulary", options: [] },
+    },
+  ]);
+  assert.deepEqual(errorCodes(errors), [["name", "optionsRequired"]]);
+});
+
+test("a stored multiControlledVocabulary without options rejects values", () => {
+  const model = {
+    fields: [
+      ...fields,
+      { fieldKey: "tags", label: "タグ", type: "multiControlledVocabulary" },
+    ],
+  };
+  const result = validateItem(model, { name: "図書館", tags: ["library"] });
+  assert.equal(result.ok, false);
+  assert.deepEqual(errorCodes(result.errors), [["tags.0", "optionsRequired"]]);
+  assert.ok(validateItem(model, { name: "図書館" }).ok);
+});
@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getTemplates, isBuiltInTemplate } = require("../src/templates");
+const { validateItem } = require("../src/validation");
+const samples = require("./fixtures/template-samples.json");
+
+// Sample rows per built-in template (fixtures/template-samples.json), as a
+// municipality would publish them: each must pass validation as is, and
+// dropping a ◎ field or using an unknown vocabulary value must fail it.
+const builtIns = getTemplates().filter((template) => isBuiltInTemplate(template.id));
+
+function errorKeys(result) {
+  return result.errors.map((error) => error.fieldKey);
+}
+
+test("every built-in template has sample rows", () => {
+  assert.deepEqual(
+    builtIns.map((template) => template.id).sort(),
+    Object.keys(samples).sort()
+  );
+});
+
+builtIns.forEach((template) => {
+  const rows = samples[template.id] || [];
+
+  test(`${template.id}: sample rows pass validation`, () => {
+    assert.ok(rows.length > 0);
+    rows.forEach((row, index) => {
+      const result = validateItem(template, row);
+      assert.ok(
+        result.ok,
+        `row ${index}: ${JSON.stringify(result.errors, null, 2)}`
+      );
+    });
+  });
+
+  test(`${template.id}: ◎ fields are enforced`, () => {
+    template.fields
+      .filter((field) => field.mandatoryMark === "◎")
+      .forEach(({ fieldKey }) => {
+        const { [fieldKey]: _omitted, ...row } = rows[0];
+        const result = validateItem(template, row);
+        assert.equal(result.ok, false, `${fieldKey} may be left out`);
+        assert.ok(errorKeys(result).includes(fieldKey));
+      });
+  });
+
+  test(`${template.id}: controlled vocabularies reject unknown values`, () => {
+    template.fields
+      .filter((field) => field.type === "controlledVocabulary")
+      .forEach(({ fieldKey }) => {
+        const result = validateItem(template, {
+          ...rows[0],
+          [fieldKey]: "notAnOption",
+        });
+        assert.equal(result.ok, false, `${fieldKey} accepts any value`);
+        assert.ok(errorKeys(result).includes(fieldKey));
+      });
+  });
+});